@@ -1,11 +1,42 @@
 const express = require('express');
 const WebSocket = require('ws');
 const net = require('net');
+const http = require('http');
+const https = require('https');
 const dgram = require('dgram');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const PrintQueue = require('./lib/print-queue');
+const IdempotencyStore = require('./lib/idempotency-store');
+const { createCommandEncoder, normalizeCommandSet } = require('./lib/command-sets');
+const { renderDocument, normalizeDocument } = require('./lib/document-renderer');
+const TemplateStore = require('./lib/template-store');
+const { ImageStore, decodeBase64Image } = require('./lib/image-store');
+const { imageToBitmap } = require('./lib/image-processing');
+const { getPrinterLayout, wrapText } = require('./lib/layout');
+const { interpretEscPos } = require('./lib/escpos-interpreter');
+const { renderPreviewPng, renderPreviewHtml } = require('./lib/receipt-preview');
+const SpoolStore = require('./lib/spool-store');
+const { queryPrinterStatus } = require('./lib/printer-status');
+const PrinterMonitor = require('./lib/printer-monitor');
+const { EposEncoder, buildEposEnvelope, parseEposResponse } = require('./lib/epos-encoder');
+const { IppClient } = require('./lib/ipp-client');
+const PlainTextEncoder = require('./lib/text-encoder');
+const { sendLprJob } = require('./lib/lpr-client');
+const { writeToDevice, describeDeviceError } = require('./lib/device-writer');
+const { renderZpl } = require('./lib/zpl-renderer');
+const { parseCidr, cidrHosts, scanTargets } = require('./lib/network-scanner');
+const { printerTlsOptions } = require('./lib/printer-tls');
+const { onAbort } = require('./lib/abort-signal');
+
+// Baytları olduğu gibi gönderilen biçimler ve IPP belge türleri
+const BINARY_FORMATS = ['raw', 'pdf', 'pwg'];
+const IPP_DOCUMENT_FORMATS = { pdf: 'application/pdf', pwg: 'image/pwg-raster' };
+
+// Kurulum dizinine göre hesaplanır; CONFIG'e konmaz ki config.json'a yazılıp eski bir yolda kalmasın
+const DATA_DIR = path.join(__dirname, 'data');
 
 const CONFIG = {
   port: 3001,
@@ -15,9 +46,62 @@ const CONFIG = {
   printerDiscoveryTimeout: 5000,
   maxRetries: 3,
   retryDelay: 2000,
-  healthCheckInterval: 30000
+  healthCheckInterval: 30000,
+  queue: {
+    backoffFactor: 2,
+    maxRetryDelay: 60000,
+    historyLimit: 200,
+    deadLetterLimit: 100,
+    maxConcurrent: 4,
+    attemptTimeoutMs: 120000
+  },
+  idempotency: {
+    windowMs: 600000
+  },
+  spool: {
+    maxBytes: 52428800
+  },
+  turkish_chars: {
+    encoding: 'cp857',
+    fallback_encoding: 'cp1254',
+    substitute: '?'
+  },
+  drawer: {
+    pin: 2,
+    onMs: 100,
+    offMs: 200,
+    openOnCash: false,
+    cashTemplates: ['bill']
+  },
+  status: {
+    checkBeforePrint: true,
+    timeoutMs: 1500,
+    unsupportedRecheckMs: 600000
+  },
+  label: {
+    width: 100,
+    height: 50,
+    dpi: 203
+  },
+  monitor: {
+    enabled: true,
+    intervalMs: 30000,
+    historyLimit: 50
+  },
+  discovery: {
+    enabled: true,
+    scan_ranges: [],
+    common_addresses: [],
+    ports: [9100, 9101, 9102, 8080, 8008, 631],
+    include_local_subnet: true,
+    concurrency: 64,
+    probe_timeout_ms: 800,
+    max_hosts: 4096
+  }
 };
 
+const DISCOVERY_DEFAULTS = { ...CONFIG.discovery };
+
 let connectedPrinters = new Map();
 let serverConnection = null;
 let healthCheckTimer = null;
@@ -29,17 +113,376 @@ class AndroidPrintAgent {
     this.app = express();
     this.server = null;
     this.wsServer = null;
+    // Durum sorgusuna yanıt vermeyen yazıcılar: sıra anahtarı -> son deneme zamanı
+    this.statusUnsupported = new Map();
     this.setupExpress();
     this.setupWebSocket();
     this.loadConfiguration();
+    this.setupTemplates();
+    this.setupQueue();
+    this.setupMonitor();
     this.setupRestartHandler();
   }
 
+  setupTemplates() {
+    this.templates = new TemplateStore({
+      storagePath: path.join(DATA_DIR, 'templates.json')
+    });
+    this.images = new ImageStore({
+      directory: path.join(DATA_DIR, 'images')
+    });
+    this.spool = new SpoolStore({
+      directory: path.join(DATA_DIR, 'spool'),
+      maxBytes: CONFIG.spool.maxBytes
+    });
+  }
+
+  setupQueue() {
+    this.queue = new PrintQueue({
+      storagePath: path.join(DATA_DIR, 'jobs.json'),
+      processor: (job, signal) => this.processJob(job, signal),
+      retryDelay: CONFIG.retryDelay,
+      backoffFactor: CONFIG.queue.backoffFactor,
+      maxRetryDelay: CONFIG.queue.maxRetryDelay,
+      historyLimit: CONFIG.queue.historyLimit,
+      deadLetterLimit: CONFIG.queue.deadLetterLimit,
+      maxConcurrent: CONFIG.queue.maxConcurrent,
+      attemptTimeout: CONFIG.queue.attemptTimeoutMs
+    });
+
+    this.idempotency = new IdempotencyStore({
+      storagePath: path.join(DATA_DIR, 'idempotency.json'),
+      windowMs: CONFIG.idempotency.windowMs
+    });
+
+    this.queue.on('settled', (job) => {
+      if (job.idempotencyKey) {
+        this.idempotency.complete(job.idempotencyKey, this.buildJobResponse(job));
+      }
+      if (job.openDrawer && job.status === 'completed') {
+        this.queueDrawerPulse(job);
+      }
+    });
+
+    this.queue.on('removed', (job) => {
+      if (job.data && job.data.spool) {
+        this.releaseSpool(job.data.spool);
+      }
+    });
+    const spooled = this.queue.list().map(job => job.data && job.data.spool).filter(Boolean);
+    this.spool.cleanup(new Set(spooled));
+  }
+
+  setupMonitor() {
+    this.monitor = new PrinterMonitor({
+      printers: () => CONFIG.printers || [],
+      check: (printer) => this.checkPrinterHealth(printer),
+      isBusy: (printer) => this.queue.getLanes().some(lane => lane.lane === this.getPrinterKey(printer) && lane.active),
+      intervalMs: CONFIG.monitor.intervalMs,
+      historyLimit: CONFIG.monitor.historyLimit
+    });
+
+    this.monitor.on('printer_online', (event) => {
+      console.log(`Printer ${event.name} is online`);
+      connectedPrinters.set(event.printer, event);
+      this.broadcast({ type: 'printer_online', data: event });
+    });
+    this.monitor.on('printer_offline', (event) => {
+      console.warn(`Printer ${event.name} is offline: ${event.problems.join(', ')}`);
+      connectedPrinters.delete(event.printer);
+      this.broadcast({ type: 'printer_offline', data: event });
+    });
+    this.monitor.on('paper_low', (event) => {
+      console.warn(`Printer ${event.name} is running low on paper`);
+      this.broadcast({ type: 'paper_low', data: event });
+    });
+  }
+
+  getMaxRetries(protocol) {
+    const protocolKeys = { raw: 'raw_tcp', tcp: 'raw_tcp', websocket: 'websocket', http: 'http', epos: 'epos', ipp: 'ipp', lpr: 'lpr', device: 'device' };
+    const protocolConfig = CONFIG.protocols && CONFIG.protocols[protocolKeys[protocol.toLowerCase()]];
+    if (protocolConfig && typeof protocolConfig.retries === 'number') {
+      return protocolConfig.retries;
+    }
+    return CONFIG.maxRetries;
+  }
+
+  parseSchedule(request) {
+    if (request.printAt !== undefined && request.printAt !== null) {
+      const runAt = typeof request.printAt === 'number' ? request.printAt : Date.parse(request.printAt);
+      return Number.isFinite(runAt) ? runAt : NaN;
+    }
+    if (request.delayMs !== undefined && request.delayMs !== null) {
+      const delayMs = Number(request.delayMs);
+      return Number.isFinite(delayMs) && delayMs >= 0 ? Date.now() + delayMs : NaN;
+    }
+    return null;
+  }
+
+  // Spool referansı yalnızca /api/print/raw'dan gelir; JSON gövdesindeki data.spool kabul edilmez
+  preparePrint(request, spooled = null) {
+    const { printer, template } = request;
+    let { data, protocol, format } = request;
+
+    if (template) {
+      try {
+        ({ data, format } = this.templates.render(template, data));
+      } catch (error) {
+        const templateError = new Error(`Template ${template} failed: ${error.message}`);
+        templateError.statusCode = 400;
+        throw templateError;
+      }
+    }
+
+    const target = this.resolvePrinter(printer);
+    protocol = protocol || target.protocol || 'raw';
+    format = format || target.format || 'escpos';
+
+    if (protocol.toLowerCase() === 'device' && !this.getConfiguredDevice(target)) {
+      const deviceError = new Error('Device printers must be configured with a device path in config.printers');
+      deviceError.statusCode = 400;
+      throw deviceError;
+    }
+
+    if (spooled) {
+      data = { spool: spooled.id, size: spooled.size };
+    } else if (BINARY_FORMATS.includes(format)) {
+      data = this.normalizeRawData(data, request.encoding);
+    }
+
+    // Nakit ödenen hesap fişinden sonra çekmece otomatik açılır; darbe fişe eklenmez, fiş basılınca
+    // ayrı bir komut işiyle gönderilir ki tekrar denenen ya da yönlendirilen fiş çekmeceyi yeniden açmasın
+    const drawer = this.getDrawerOptions(target);
+    const paymentMethod = request.data && request.data.paymentMethod;
+    let openDrawer = null;
+    if (template && drawer.openOnCash && (drawer.cashTemplates || []).includes(template) &&
+        format === 'document' && String(paymentMethod || '').toLowerCase() === 'cash') {
+      openDrawer = { pin: drawer.pin, onMs: drawer.onMs, offMs: drawer.offMs };
+    }
+
+    return { data, protocol, format, target, openDrawer };
+  }
+
+  // Ham veri kuyrukta base64 olarak saklanır
+  normalizeRawData(data, encoding = 'base64') {
+    const text = String(data).replace(/\s+/g, '');
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    switch (String(encoding).toLowerCase()) {
+      case 'base64':
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text)) {
+          throw invalid('Raw data is not valid base64');
+        }
+        return text;
+
+      case 'hex':
+        if (!/^([0-9A-Fa-f]{2})*$/.test(text)) {
+          throw invalid('Raw data is not valid hex');
+        }
+        return Buffer.from(text, 'hex').toString('base64');
+
+      default:
+        throw invalid('encoding must be base64 or hex');
+    }
+  }
+
+  // Yeniden basılan işler aynı spool dosyasını paylaşabilir; hiçbir iş kullanmıyorsa silinir
+  releaseSpool(spoolId) {
+    if (!this.queue.list().some(job => job.data && job.data.spool === spoolId)) {
+      this.spool.remove(spoolId);
+    }
+  }
+
+  loadRawData(data) {
+    return data && data.spool ? this.spool.load(data.spool) : Buffer.from(data, 'base64');
+  }
+
+  getDrawerOptions(printer = {}) {
+    return { ...CONFIG.drawer, ...printer.drawer };
+  }
+
+  queueDrawerPulse(job) {
+    // Başka bir kasadaki yazıcıya yönlendirilen fiş oradaki çekmeceyi açmamalı
+    if (job.origin) {
+      console.warn(`Print job ${job.id} was printed by a fallback printer; cash drawer not opened`);
+      return;
+    }
+
+    console.log(`Opening cash drawer on ${this.getPrinterName(job.printer)} after print job ${job.id}`);
+    this.queue.add({
+      data: { blocks: [{ type: 'drawer', ...job.openDrawer }], cut: false },
+      printer: job.printer,
+      protocol: job.protocol,
+      format: 'document',
+      lane: job.lane,
+      command: true,
+      maxRetries: 0
+    });
+  }
+
+  async sendPrinterCommand(printerId, block) {
+    const entry = (CONFIG.printers || []).find(p => p.id === printerId);
+    if (!entry) {
+      const notFound = new Error(`Printer ${printerId} not found`);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    // Çekmece ve zil komutları başka bir yazıcıya yönlendirilmez ve tekrar denenmez;
+    // geç tekrarlanan bir darbe çekmeceyi istenmeden açar
+    return this.enqueuePrint({
+      data: { blocks: [block], cut: false },
+      printer: { id: printerId, fallback: [] },
+      format: 'document',
+      command: true,
+      maxRetries: 0
+    });
+  }
+
+  async openDrawer(printerId, options = {}) {
+    const entry = (CONFIG.printers || []).find(p => p.id === printerId) || {};
+    const drawer = this.getDrawerOptions(entry);
+    const pin = Number(options.pin || drawer.pin);
+    if (pin !== 2 && pin !== 5) {
+      const invalidPin = new Error('Drawer pin must be 2 or 5');
+      invalidPin.statusCode = 400;
+      throw invalidPin;
+    }
+
+    console.log(`Opening cash drawer on ${printerId} (pin ${pin})`);
+    return this.sendPrinterCommand(printerId, {
+      type: 'drawer',
+      pin,
+      onMs: options.onMs || drawer.onMs,
+      offMs: options.offMs || drawer.offMs
+    });
+  }
+
+  async beep(printerId, options = {}) {
+    console.log(`Sounding buzzer on ${printerId}`);
+    return this.sendPrinterCommand(printerId, { type: 'beep', times: options.times, duration: options.duration });
+  }
+
+  queuePrint(request, spooled = null) {
+    const { template, idempotencyKey, runAt } = request;
+
+    if (idempotencyKey) {
+      const record = this.idempotency.get(idempotencyKey);
+      if (record) {
+        console.log(`Duplicate print request ${idempotencyKey}, returning job ${record.jobId}`);
+        const stored = this.queue.get(record.jobId);
+        return { id: record.jobId, duplicate: true, record, status: stored?.status, runAt: stored?.runAt || null };
+      }
+    }
+
+    const { data, protocol, format, target, openDrawer } = this.preparePrint(request, spooled);
+
+    try {
+      // Ham veri normalizeRawData ile zaten doğrulandı; spool dosyaları burada okunmaz
+      if (!BINARY_FORMATS.includes(format)) {
+        this.renderPrintData(data, format, target);
+      }
+    } catch (error) {
+      const invalidError = new Error(`Invalid ${format} print data: ${error.message}`);
+      invalidError.statusCode = 400;
+      throw invalidError;
+    }
+
+    const job = this.queue.add({
+      data,
+      printer: target,
+      protocol,
+      format,
+      template,
+      maxRetries: request.maxRetries !== undefined ? request.maxRetries : this.getMaxRetries(protocol),
+      command: request.command,
+      lane: this.getPrinterKey(target),
+      throttleMs: target.throttleMs,
+      idempotencyKey,
+      runAt,
+      openDrawer
+    });
+    if (job.status === 'scheduled') {
+      console.log(`Print job ${job.id} scheduled for ${new Date(job.runAt).toISOString()}: ${protocol}/${format} to ${target.name || target.host}`);
+    } else {
+      console.log(`Print job ${job.id} queued: ${protocol}/${format} to ${target.name || target.host}`);
+    }
+
+    if (idempotencyKey) {
+      this.idempotency.remember(idempotencyKey, job.id);
+    }
+    return job;
+  }
+
+  buildJobResponse(job) {
+    if (job.status === 'completed') {
+      return { ...job.result, jobId: job.id, attempts: job.attempts };
+    }
+    return {
+      success: false,
+      error: job.lastError || `Print job ${job.status}`,
+      jobId: job.id,
+      attempts: job.attempts
+    };
+  }
+
+  async waitForJob(job) {
+    const queued = this.queue.get(job.id);
+    let response;
+    if (queued) {
+      response = this.buildJobResponse(await this.queue.waitFor(job.id));
+    } else if (job.record && job.record.response) {
+      response = job.record.response;
+    } else {
+      throw new Error(`Print job ${job.id} is no longer available`);
+    }
+
+    if (job.duplicate) {
+      response = { ...response, duplicate: true };
+    }
+    if (!response.success) {
+      const error = new Error(response.error);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  async sendJobResponse(res, job, wait) {
+    if (!wait || job.status === 'scheduled') {
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        jobId: job.id,
+        status: job.status,
+        runAt: job.runAt ? new Date(job.runAt).toISOString() : undefined,
+        duplicate: Boolean(job.duplicate)
+      });
+    }
+
+    const result = await this.waitForJob(job);
+    res.json(result);
+  }
+
+  async enqueuePrint(request) {
+    const job = this.queuePrint(request);
+    return this.waitForJob(job);
+  }
+
+  summarizeJob(job) {
+    const { data, ...summary } = job;
+    return summary;
+  }
+
   setupExpress() {
     this.app.use(cors({
       origin: '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
       credentials: true
     }));
     this.app.use(express.json({ limit: '10mb' }));
@@ -83,30 +526,171 @@ class AndroidPrintAgent {
       }
     });
 
+    this.app.get('/api/discover-printers/progress', (req, res) => {
+      res.json({ success: true, running: Boolean(this.discovery), progress: this.discoveryProgress || null });
+    });
+
     this.app.post('/api/print', async (req, res) => {
       try {
-        const { data, printer, protocol = 'raw', format = 'escpos' } = req.body;
+        const { data, printer, protocol, format, encoding, template, wait = true } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
         
-        if (!data) {
+        if (!data && !template) {
           return res.status(400).json({ success: false, error: 'Print data is required' });
         }
 
-        console.log(`Print request: ${protocol}/${format} to ${printer?.name || 'default'}`);
+        console.log(`Print request: ${protocol || 'auto'}/${format || 'auto'} to ${printer?.name || printer?.id || printer || 'default'}`);
         
-        const result = await this.printWithProtocol(data, printer, protocol, format);
+        const runAt = this.parseSchedule(req.body);
+        if (Number.isNaN(runAt)) {
+          return res.status(400).json({ success: false, error: 'printAt must be a date and delayMs a non-negative number' });
+        }
+
+        const job = this.queuePrint({ data, printer, protocol, format, encoding, template, idempotencyKey, runAt });
+        await this.sendJobResponse(res, job, wait);
+      } catch (error) {
+        console.error('Print failed:', error.message);
+        res.status(error.statusCode || 500).json(error.response || { success: false, error: error.message });
+      }
+    });
+
+    // Büyük işler için gövde doğrudan application/octet-stream olarak akıtılır
+    this.app.post('/api/print/raw', async (req, res) => {
+      let spooled;
+      try {
+        const { printer, protocol, wait, format = 'raw' } = req.query;
+        if (!BINARY_FORMATS.includes(format)) {
+          return res.status(400).json({ success: false, error: `format must be one of: ${BINARY_FORMATS.join(', ')}` });
+        }
+        const idempotencyKey = req.get('Idempotency-Key') || req.query.idempotencyKey;
+
+        if (Number(req.get('Content-Length')) > CONFIG.spool.maxBytes) {
+          return res.status(413).json({ success: false, error: `Print data exceeds ${CONFIG.spool.maxBytes} bytes` });
+        }
+
+        spooled = await this.spool.write(req);
+        if (spooled.size === 0) {
+          return res.status(400).json({ success: false, error: 'Print data is required' });
+        }
+
+        console.log(`Raw print upload: ${spooled.size} bytes to ${printer || 'default'}`);
+
+        const runAt = this.parseSchedule(req.query);
+        if (Number.isNaN(runAt)) {
+          return res.status(400).json({ success: false, error: 'printAt must be a date and delayMs a non-negative number' });
+        }
+
+        const job = this.queuePrint({ printer, protocol, format, idempotencyKey, runAt }, spooled);
+        await this.sendJobResponse(res, job, wait !== 'false' && wait !== '0');
+      } catch (error) {
+        console.error('Raw print failed:', error.message);
+        res.status(error.statusCode || 500).json(error.response || { success: false, error: error.message });
+      } finally {
+        // Kuyruğa alınmayan (geçersiz, yinelenen ya da reddedilen) yüklemeler diskte bırakılmaz
+        if (spooled) {
+          this.releaseSpool(spooled.id);
+        }
+      }
+    });
+
+    this.app.get('/api/printers/health', (req, res) => {
+      res.json({ success: true, printers: this.monitor.list() });
+    });
+
+    this.app.get('/api/printers/:id/history', (req, res) => {
+      const state = this.monitor.getState(req.params.id);
+      if (!state) {
+        return res.status(404).json({ success: false, error: 'No health data for this printer' });
+      }
+      res.json({ success: true, printer: state });
+    });
+
+    this.app.get('/api/printers/:id/status', async (req, res) => {
+      const printer = (CONFIG.printers || []).find(p => p.id === req.params.id);
+      if (!printer) {
+        return res.status(404).json({ success: false, error: 'Printer not found' });
+      }
+      try {
+        if (!this.supportsStatus(printer)) {
+          return res.status(400).json({ success: false, error: `Status queries are not supported for ${printer.protocol || 'raw'}/${printer.format === 'zpl' ? 'zpl' : printer.commandSet || 'escpos'} printers` });
+        }
+      } catch (error) {
+        // Bilinmeyen commandSet bir yapılandırma hatasıdır, yazıcıya ulaşılamadığı anlamına gelmez
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      try {
+        const status = await this.getPrinterStatus(printer);
+        res.json({ success: true, printer: printer.id, status });
+      } catch (error) {
+        res.json({
+          success: true,
+          printer: printer.id,
+          status: { reachable: false, online: false, ready: false, problems: ['unreachable'], error: error.message }
+        });
+      }
+    });
+
+    this.app.post('/api/printers/:id/drawer', async (req, res) => {
+      try {
+        const result = await this.openDrawer(req.params.id, req.body);
         res.json(result);
       } catch (error) {
-        console.error('Print failed:', error);
-        res.status(500).json({ success: false, error: error.message });
+        console.error('Drawer kick failed:', error.message);
+        res.status(error.statusCode || 500).json(error.response || { success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/printers/:id/beep', async (req, res) => {
+      try {
+        const result = await this.beep(req.params.id, req.body);
+        res.json(result);
+      } catch (error) {
+        console.error('Buzzer failed:', error.message);
+        res.status(error.statusCode || 500).json(error.response || { success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/preview', (req, res) => {
+      try {
+        const output = String(req.query.output || req.body.output || 'png').toLowerCase();
+        if (!req.body.data && !req.body.template) {
+          return res.status(400).json({ success: false, error: 'Print data is required' });
+        }
+        if (output !== 'png' && output !== 'html') {
+          return res.status(400).json({ success: false, error: 'output must be png or html' });
+        }
+
+        const { data, format, target } = this.preparePrint(req.body);
+        if (format === 'zpl') {
+          return res.status(400).json({ success: false, error: 'Previews are not available for ZPL labels' });
+        }
+        let printData;
+        try {
+          // Önizleme ESC/POS yorumlayıcısıyla çizildiğinden Star yazıcılar da ESC/POS olarak işlenir
+          printData = this.renderPrintData(data, format, { ...target, commandSet: 'escpos' });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: `Invalid ${format} print data: ${error.message}` });
+        }
+
+        const bytes = Buffer.isBuffer(printData) ? printData : Buffer.from(String(printData), 'binary');
+        const elements = interpretEscPos(bytes, this.getCodePageOptions(target));
+        const { dotWidth } = getPrinterLayout(target);
+
+        if (output === 'html') {
+          return res.type('html').send(renderPreviewHtml(elements, { dotWidth }));
+        }
+        res.type('png').send(renderPreviewPng(elements, { dotWidth }));
+      } catch (error) {
+        console.error('Preview failed:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
       }
     });
 
     this.app.post('/api/test-print', async (req, res) => {
       try {
         const { printer } = req.body;
-        const testData = this.generateTestReceipt();
-        
-        const result = await this.printWithProtocol(testData, printer, 'raw', 'escpos');
+        const result = await this.enqueuePrint({ template: 'test', printer, protocol: 'raw' });
         res.json(result);
       } catch (error) {
         console.error('Test print failed:', error);
@@ -114,6 +698,183 @@ class AndroidPrintAgent {
       }
     });
 
+    this.app.get('/api/jobs', (req, res) => {
+      const jobs = this.queue.list({
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50
+      });
+      res.json({ success: true, jobs: jobs.map(job => this.summarizeJob(job)) });
+    });
+
+    this.app.get('/api/jobs/:id', (req, res) => {
+      const job = this.queue.get(req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      res.json({ success: true, job });
+    });
+
+    this.app.post('/api/jobs/:id/cancel', (req, res) => {
+      try {
+        const job = this.queue.cancel(req.params.id);
+        if (!job) {
+          return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        res.json({ success: true, job: this.summarizeJob(job) });
+      } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/jobs/:id/reprint', (req, res) => {
+      const job = this.queue.reprint(req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      console.log(`Reprint of job ${req.params.id} queued as ${job.id}`);
+      res.status(202).json({ success: true, jobId: job.id, job: this.summarizeJob(job) });
+    });
+
+    this.app.get('/api/scheduled', (req, res) => {
+      res.json({ success: true, jobs: this.queue.getScheduled().map(job => this.summarizeJob(job)) });
+    });
+
+    this.app.post('/api/scheduled/:id/cancel', (req, res) => {
+      const job = this.queue.get(req.params.id);
+      if (!job || job.status !== 'scheduled') {
+        return res.status(404).json({ success: false, error: 'Scheduled job not found' });
+      }
+      this.queue.cancel(job.id);
+      res.json({ success: true, job: this.summarizeJob(job) });
+    });
+
+    this.app.post('/api/scheduled/:id/fire', (req, res) => {
+      const job = this.queue.fireNow(req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Scheduled job not found' });
+      }
+      console.log(`Scheduled print job ${job.id} fired manually`);
+      res.json({ success: true, job: this.summarizeJob(job) });
+    });
+
+    this.app.get('/api/queue', (req, res) => {
+      res.json({ success: true, lanes: this.queue.getLanes() });
+    });
+
+    this.app.get('/api/dead-letter', (req, res) => {
+      res.json({ success: true, jobs: this.queue.getDeadLetter().map(job => this.summarizeJob(job)) });
+    });
+
+    this.app.post('/api/dead-letter/:id/retry', (req, res) => {
+      const job = this.queue.retryDeadLetter(req.params.id);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Dead-letter job not found' });
+      }
+      res.json({ success: true, job: this.summarizeJob(job) });
+    });
+
+    this.app.delete('/api/dead-letter/:id', (req, res) => {
+      if (!this.queue.removeDeadLetter(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Dead-letter job not found' });
+      }
+      res.json({ success: true });
+    });
+
+    this.app.get('/api/templates', (req, res) => {
+      res.json({ success: true, templates: this.templates.list() });
+    });
+
+    this.app.get('/api/templates/:id', (req, res) => {
+      const template = this.templates.get(req.params.id);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+      res.json({ success: true, template });
+    });
+
+    this.app.post('/api/templates', (req, res) => {
+      try {
+        if (this.templates.get(req.body.id)) {
+          return res.status(409).json({ success: false, error: 'Template already exists' });
+        }
+        const template = this.templates.save(req.body);
+        res.status(201).json({ success: true, template });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.put('/api/templates/:id', (req, res) => {
+      try {
+        if (!this.templates.get(req.params.id)) {
+          return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        const template = this.templates.save({ ...req.body, id: req.params.id });
+        res.json({ success: true, template });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/templates/:id', (req, res) => {
+      if (!this.templates.remove(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+      res.json({ success: true });
+    });
+
+    this.app.get('/api/images', (req, res) => {
+      res.json({ success: true, images: this.images.list() });
+    });
+
+    this.app.get('/api/images/:id', (req, res) => {
+      try {
+        const contentType = this.images.contentType(req.params.id);
+        if (!contentType) {
+          return res.status(404).json({ success: false, error: 'Image not found' });
+        }
+        res.type(contentType).send(this.images.load(req.params.id));
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/images', (req, res) => {
+      try {
+        const { id, data } = req.body;
+        if (!data) {
+          return res.status(400).json({ success: false, error: 'Base64 image data is required' });
+        }
+        const image = this.images.save(id, decodeBase64Image(data));
+        res.status(201).json({ success: true, image });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.put('/api/images/:id', express.raw({ type: 'image/*', limit: '10mb' }), (req, res) => {
+      try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(400).json({ success: false, error: 'Send the image as an image/* request body' });
+        }
+        const image = this.images.save(req.params.id, req.body);
+        res.json({ success: true, image });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/images/:id', (req, res) => {
+      try {
+        if (!this.images.remove(req.params.id)) {
+          return res.status(404).json({ success: false, error: 'Image not found' });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.get('/api/config', (req, res) => {
       res.json(CONFIG);
     });
@@ -174,179 +935,553 @@ class AndroidPrintAgent {
         }
       });
 
-      ws.on('close', () => {
-        console.log('WebSocket connection closed');
-      });
+      ws.on('close', () => {
+        console.log('WebSocket connection closed');
+      });
+
+      ws.on('error', (error) => {
+        console.error('WebSocket error:', error);
+      });
+
+      ws.send(JSON.stringify({
+        type: 'status',
+        data: {
+          connected: true,
+          printers: Array.from(connectedPrinters.keys()),
+          health: this.monitor.list()
+        }
+      }));
+    });
+  }
+
+  broadcast(message) {
+    if (!this.wsServer) {
+      return;
+    }
+    const payload = JSON.stringify(message);
+    this.wsServer.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(payload);
+      }
+    });
+  }
+
+  async handleWebSocketMessage(ws, data) {
+    const { type, payload } = data;
+
+    switch (type) {
+      case 'print':
+        if (!payload || (!payload.data && !payload.template)) {
+          throw new Error('Print data is required');
+        }
+
+        const runAt = this.parseSchedule(payload);
+        if (Number.isNaN(runAt)) {
+          throw new Error('printAt must be a date and delayMs a non-negative number');
+        }
+
+        const job = this.queuePrint({
+          data: payload.data,
+          printer: payload.printer,
+          protocol: payload.protocol,
+          format: payload.format,
+          encoding: payload.encoding,
+          template: payload.template,
+          idempotencyKey: payload.idempotencyKey,
+          runAt
+        });
+        if (job.status === 'scheduled') {
+          ws.send(JSON.stringify({
+            type: 'print_scheduled',
+            data: {
+              success: true,
+              jobId: job.id,
+              runAt: job.runAt ? new Date(job.runAt).toISOString() : undefined,
+              duplicate: Boolean(job.duplicate)
+            }
+          }));
+          break;
+        }
+
+        try {
+          const result = await this.waitForJob(job);
+          ws.send(JSON.stringify({ type: 'print_result', data: result }));
+        } catch (error) {
+          ws.send(JSON.stringify({
+            type: 'print_result',
+            data: error.response || { success: false, error: error.message, jobId: job.id }
+          }));
+        }
+        break;
+
+      case 'open_drawer':
+      case 'beep': {
+        const { printer, ...options } = payload || {};
+        const resultType = type === 'beep' ? 'beep_result' : 'drawer_result';
+        try {
+          const result = type === 'beep' ? await this.beep(printer, options) : await this.openDrawer(printer, options);
+          ws.send(JSON.stringify({ type: resultType, data: result }));
+        } catch (error) {
+          ws.send(JSON.stringify({ type: resultType, data: error.response || { success: false, error: error.message } }));
+        }
+        break;
+      }
+
+      case 'discover':
+        const printers = await this.discoverPrinters();
+        ws.send(JSON.stringify({ type: 'printers_discovered', data: printers }));
+        break;
+
+      case 'ping':
+        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+        break;
+
+      default:
+        console.warn(`Unknown WebSocket message type: ${type}`);
+    }
+  }
+
+  resolvePrinter(printer) {
+    const registry = CONFIG.printers || [];
+
+    if (typeof printer === 'string') {
+      printer = { id: printer };
+    }
+
+    if (printer && printer.id) {
+      const entry = registry.find(p => p.id === printer.id);
+      if (entry) {
+        return { ...entry, ...printer };
+      }
+    }
+
+    // Dinamik yazıcı konfigürasyonu - ortam değişkenlerinden al
+    if (printer && printer.host) {
+      return printer;
+    }
+
+    if (!process.env.PRINTER_ADDRESS) {
+      const defaultEntry = registry.find(p => p.isDefault && p.enabled !== false);
+      if (defaultEntry) {
+        return { ...defaultEntry };
+      }
+    }
+
+    // Environment'tan yazıcı IP'sini al
+    const [host, port] = CONFIG.defaultPrinterHost.split(':');
+    return {
+      host: host || 'localhost',
+      port: parseInt(port) || 9100,
+      name: 'system-default'
+    };
+  }
+
+  getPrinterName(printer) {
+    return printer.name || printer.id || `${printer.host}:${printer.port || 9100}`;
+  }
+
+  getNextFallback(job) {
+    const origin = job.origin ? job.origin.printer : job.printer;
+    const chain = (origin.fallback || [])
+      .map(id => (CONFIG.printers || []).find(p => p.id === id))
+      .filter(entry => entry && entry.enabled !== false);
+
+    const currentKey = this.getPrinterKey(job.printer);
+    const currentIndex = chain.findIndex(entry => this.getPrinterKey(entry) === currentKey);
+    return chain[currentIndex + 1] || null;
+  }
+
+  isFailoverError(error) {
+    const failoverCodes = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT', 'ECONNRESET', 'EPRINTERSTATUS', 'ENODEV', 'EBUSY', 'EIO'];
+    return failoverCodes.includes(error.code);
+  }
+
+  addReroutedBanner(data, format, fromPrinter) {
+    const banner = `*** REROUTED FROM ${this.getPrinterName(fromPrinter).toUpperCase()} ***`;
+    if (format === 'escpos' || format === 'text') {
+      return `${banner}\n${data}`;
+    }
+    if (format === 'document') {
+      const doc = normalizeDocument(data);
+      return { ...doc, blocks: [{ type: 'text', text: banner, bold: true, align: 'center' }, ...doc.blocks] };
+    }
+    return data;
+  }
+
+  async processJob(job, signal) {
+    const reroutedFrom = job.origin ? job.origin.printer : null;
+    const data = reroutedFrom ? this.addReroutedBanner(job.data, job.format, reroutedFrom) : job.data;
 
-      ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-      });
+    try {
+      // Kağıt bitmiş ya da kapak açıkken de çekmece açılabilmeli
+      const printerStatus = job.command ? null : await this.checkPrinterReady(job.printer, job.protocol, job.format);
+      const result = await this.printWithProtocol(data, job.printer, job.protocol, job.format, signal);
+      return {
+        ...result,
+        printerStatus: printerStatus || result.printerStatus,
+        printedBy: {
+          id: job.printer.id,
+          name: this.getPrinterName(job.printer),
+          host: job.printer.host,
+          port: job.printer.port
+        },
+        reroutedFrom: reroutedFrom ? this.getPrinterName(reroutedFrom) : undefined
+      };
+    } catch (error) {
+      const fallback = !job.command && this.isFailoverError(error) ? this.getNextFallback(job) : null;
+      if (fallback) {
+        error.reroute = {
+          printer: { ...fallback },
+          protocol: fallback.protocol,
+          lane: this.getPrinterKey(fallback),
+          throttleMs: fallback.throttleMs
+        };
+      }
+      throw error;
+    }
+  }
 
-      ws.send(JSON.stringify({
-        type: 'status',
-        data: {
-          connected: true,
-          printers: Array.from(connectedPrinters.keys())
-        }
-      }));
-    });
+  isEscPosPrinter(printer, format = printer.format) {
+    // ZPL etiket yazıcıları DLE EOT ve GS r komutlarını anlamaz
+    return format !== 'zpl' && normalizeCommandSet(printer.commandSet) === 'escpos';
   }
 
-  async handleWebSocketMessage(ws, data) {
-    const { type, payload } = data;
+  // DLE EOT durum sorgusu Star komut setlerinde yoktur
+  supportsStatus(printer, protocol = printer.protocol || 'raw') {
+    const normalized = String(protocol).toLowerCase();
+    return normalized === 'epos' || normalized === 'ipp' || (['raw', 'tcp'].includes(normalized) && this.isEscPosPrinter(printer));
+  }
 
-    switch (type) {
-      case 'print':
-        const result = await this.printWithProtocol(
-          payload.data,
-          payload.printer,
-          payload.protocol || 'raw',
-          payload.format || 'escpos'
-        );
-        ws.send(JSON.stringify({ type: 'print_result', data: result }));
-        break;
+  async getPrinterStatus(printer) {
+    if (String(printer.protocol).toLowerCase() === 'epos') {
+      return this.getEposStatus(printer);
+    }
+    if (String(printer.protocol).toLowerCase() === 'ipp') {
+      return this.getIppStatus(printer);
+    }
+    return queryPrinterStatus(printer.host, printer.port || 9100, { timeoutMs: CONFIG.status.timeoutMs });
+  }
 
-      case 'discover':
-        const printers = await this.discoverPrinters();
-        ws.send(JSON.stringify({ type: 'printers_discovered', data: printers }));
-        break;
+  // Kağıt bitmiş, kapak açık veya yazıcı çevrimdışıysa iş bekletilir ya da yedek yazıcıya aktarılır
+  async checkPrinterReady(printer, protocol, format) {
+    // ePOS yanıtı yazıcı durumunu zaten içerdiğinden ayrıca sorgulanmaz
+    const direct = ['raw', 'tcp'].includes(String(protocol).toLowerCase()) && this.isEscPosPrinter(printer, format || printer.format);
+    if (!CONFIG.status || !CONFIG.status.checkBeforePrint || printer.statusCheck === false || !direct) {
+      return null;
+    }
 
-      case 'ping':
-        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
-        break;
+    // Tek yönlü yazıcı her işte zaman aşımını beklemesin; ara sıra yeniden denenir ki
+    // değiştirilen ya da yanıt vermeye başlayan yazıcı fark edilsin
+    const key = this.getPrinterKey(printer);
+    const recheckMs = CONFIG.status.unsupportedRecheckMs || 600000;
+    if (Date.now() - (this.statusUnsupported.get(key) || -Infinity) < recheckMs) {
+      return null;
+    }
 
-      default:
-        console.warn(`Unknown WebSocket message type: ${type}`);
+    const status = await this.getPrinterStatus(printer);
+    if (status.supported) {
+      this.statusUnsupported.delete(key);
+    } else {
+      console.log(`Printer ${this.getPrinterName(printer)} does not answer status queries; skipping them for ${recheckMs} ms`);
+      this.statusUnsupported.set(key, Date.now());
+    }
+    if (!status.ready) {
+      const statusError = new Error(`Printer ${this.getPrinterName(printer)} is not ready: ${status.problems.join(', ')}`);
+      statusError.code = 'EPRINTERSTATUS';
+      throw statusError;
     }
+    if (status.paperNearEnd) {
+      console.warn(`Printer ${this.getPrinterName(printer)} is running low on paper`);
+    }
+    return status.supported ? status : null;
   }
 
-  async printWithProtocol(data, printer, protocol, format) {
-    // Dinamik yazıcı konfigürasyonu - ortam değişkenlerinden al
-    let printerConfig;
-    if (printer && printer.host) {
-      printerConfig = printer;
-    } else {
-      // Environment'tan yazıcı IP'sini al
-      const [host, port] = CONFIG.defaultPrinterHost.split(':');
-      printerConfig = {
-        host: host || 'localhost',
-        port: parseInt(port) || 9100,
-        name: 'system-default'
-      };
+  async checkPrinterHealth(printer) {
+    // statusCheck: false olan yazıcılar yalnızca bağlantı noktasından yoklanır
+    if (printer.statusCheck !== false && this.supportsStatus(printer)) {
+      return this.getPrinterStatus(printer);
+    }
+
+    if (String(printer.protocol).toLowerCase() === 'device') {
+      await fs.promises.access(printer.device, fs.constants.W_OK).catch((error) => {
+        throw describeDeviceError(error, printer.device);
+      });
+      return { reachable: true, ready: true, problems: [] };
+    }
+
+    const ports = { websocket: printer.wsPort || 8080, http: printer.httpPort || 8008, lpr: printer.lprPort || 515 };
+    const port = ports[String(printer.protocol).toLowerCase()] || printer.port || 9100;
+    if (!(await this.testConnection(printer.host, port))) {
+      throw new Error(`${printer.host}:${port} is not reachable`);
+    }
+    return { reachable: true, ready: true, problems: [] };
+  }
+
+  // Aygıt yolu yalnızca yazıcı kaydından alınır; istekle gelen yol ile rastgele dosyalara yazılamaz
+  getConfiguredDevice(printer) {
+    const entry = (CONFIG.printers || []).find(p => p.id === printer.id);
+    return entry && entry.device ? entry.device : null;
+  }
+
+  getPrinterKey(printer) {
+    const device = this.getConfiguredDevice(printer);
+    if (device) {
+      return `device:${device}`;
     }
+    return `${printer.host}:${printer.port || 9100}`;
+  }
 
-    console.log(`🖨️ Printing via ${protocol}/${format} to ${printerConfig.host}:${printerConfig.port}`);
+  async printWithProtocol(data, printer, protocol, format, signal) {
+    const printerConfig = this.resolvePrinter(printer);
+
+    console.log(`🖨️ Printing via ${protocol}/${format} to ${this.getConfiguredDevice(printerConfig) || `${printerConfig.host}:${printerConfig.port}`}`);
 
     switch (protocol.toLowerCase()) {
       case 'websocket':
-        return await this.printViaWebSocket(data, printerConfig, format);
+        return await this.printViaWebSocket(data, printerConfig, format, signal);
       
       case 'raw':
       case 'tcp':
-        return await this.printViaRawTCP(data, printerConfig, format);
+        return await this.printViaRawTCP(data, printerConfig, format, signal);
       
       case 'http':
-        return await this.printViaHTTP(data, printerConfig, format);
+        return await this.printViaHTTP(data, printerConfig, format, signal);
+
+      case 'epos':
+        return await this.printViaEpos(data, printerConfig, format, signal);
+
+      case 'ipp':
+        return await this.printViaIpp(data, printerConfig, format, signal);
+
+      case 'lpr':
+      case 'lpd':
+        return await this.printViaLPR(data, printerConfig, format, signal);
+
+      case 'device':
+        return await this.printViaDevice(data, printerConfig, format, signal);
       
       default:
         throw new Error(`Unsupported protocol: ${protocol}`);
     }
   }
 
-  async printViaRawTCP(data, printer, format) {
+  async printViaRawTCP(data, printer, format, signal) {
+    const printData = this.renderPrintData(data, format, printer);
+    const buffer = Buffer.isBuffer(printData) ? printData : Buffer.from(String(printData), 'binary');
+    const settings = { timeout: 10000, chunkSize: 4096, confirmTimeout: 5000, ...(CONFIG.protocols && CONFIG.protocols.raw_tcp) };
+    // GS r teslim onayı yalnızca ESC/POS yazıcılarda vardır
+    const confirm = this.isEscPosPrinter(printer, format) &&
+      (printer.confirmDelivery !== undefined ? printer.confirmDelivery : Boolean(settings.confirmDelivery));
+
     return new Promise((resolve, reject) => {
       const client = new net.Socket();
-      const timeout = setTimeout(() => {
+      let settled = false;
+      let ended = false;
+      let confirmed;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(connectTimer);
         client.destroy();
-        reject(new Error('Printer connection timeout'));
+        console.error(`TCP Print error: ${error.message}`);
+        reject(error);
+      };
+
+      const connectTimer = setTimeout(() => {
+        const timeoutError = new Error('Printer connection timeout');
+        timeoutError.code = 'ETIMEDOUT';
+        fail(timeoutError);
       }, CONFIG.printerDiscoveryTimeout);
 
-      let printData = data;
-      if (format === 'escpos') {
-        printData = this.convertToESCPOS(data);
-      }
+      client.on('error', (error) => {
+        const printError = new Error(`TCP Print failed: ${error.message}`);
+        printError.code = error.code;
+        fail(printError);
+      });
 
-      client.connect(printer.port || 9100, printer.host, () => {
-        clearTimeout(timeout);
-        console.log(`Connected to printer ${printer.host}:${printer.port}`);
-        
-        client.write(printData, 'binary');
-        client.end();
-        
+      client.on('timeout', () => {
+        const timeoutError = new Error(`Printer ${printer.host}:${printer.port} stopped accepting data`);
+        timeoutError.code = 'ETIMEDOUT';
+        fail(timeoutError);
+      });
+
+      // İş ancak tüm veri gönderilip bağlantı düzgün kapandığında tamamlanmış sayılır
+      client.on('close', () => {
+        if (settled) return;
+        if (!ended) {
+          const closedError = new Error('Printer closed the connection before the job was sent');
+          closedError.code = 'ECONNRESET';
+          fail(closedError);
+          return;
+        }
+        settled = true;
         resolve({
           success: true,
           method: 'raw_tcp',
           message: `Printed successfully to ${printer.host}:${printer.port}`,
+          bytes: buffer.length,
+          confirmed,
           timestamp: new Date().toISOString()
         });
       });
 
-      client.on('error', (error) => {
-        clearTimeout(timeout);
-        console.error(`TCP Print error: ${error.message}`);
-        reject(new Error(`TCP Print failed: ${error.message}`));
-      });
+      onAbort(signal, fail);
+      if (settled) return;
 
-      client.on('close', () => {
-        clearTimeout(timeout);
+      client.connect(printer.port || 9100, printer.host, async () => {
+        clearTimeout(connectTimer);
+        console.log(`Connected to printer ${printer.host}:${printer.port}`);
+        client.setTimeout(settings.timeout);
+        client.resume();
+
+        for (let offset = 0; offset < buffer.length && !settled; offset += settings.chunkSize) {
+          if (!client.write(buffer.subarray(offset, offset + settings.chunkSize))) {
+            await this.waitForDrain(client);
+          }
+        }
+        if (settled) return;
+
+        if (confirm) {
+          confirmed = await this.requestDeliveryConfirmation(client, settings.confirmTimeout);
+          if (!confirmed) {
+            console.warn(`Printer ${printer.host}:${printer.port} did not confirm the job`);
+          }
+          if (settled) return;
+        }
+
+        ended = true;
+        client.setTimeout(0);
+        client.end();
+        // Karşı taraf bağlantıyı kapatmazsa veri gönderildikten sonra soket biz kapatırız
+        client.once('finish', () => setTimeout(() => client.destroy(), settings.timeout).unref());
       });
     });
   }
 
-  async printViaWebSocket(data, printer, format) {
+  waitForDrain(socket) {
+    return new Promise(resolve => {
+      const done = () => {
+        socket.off('drain', done);
+        socket.off('close', done);
+        resolve();
+      };
+      socket.on('drain', done);
+      socket.on('close', done);
+    });
+  }
+
+  // GS r 1 sıradaki komut olarak işlendiği için yanıt gelmesi önceki verinin alındığını gösterir
+  requestDeliveryConfirmation(socket, timeoutMs) {
+    return new Promise(resolve => {
+      const done = (result) => {
+        clearTimeout(timer);
+        socket.off('data', onData);
+        socket.off('close', onClose);
+        resolve(result);
+      };
+      const onData = () => done(true);
+      const onClose = () => done(false);
+      const timer = setTimeout(() => done(false), timeoutMs);
+
+      socket.on('data', onData);
+      socket.on('close', onClose);
+      socket.write(Buffer.from([0x1D, 0x72, 0x01]));
+    });
+  }
+
+  async printViaWebSocket(data, printer, format, signal) {
+    const printData = this.renderPrintData(data, format, printer);
+    const settings = { timeout: 10000, ...(CONFIG.protocols && CONFIG.protocols.websocket) };
+
     return new Promise((resolve, reject) => {
       const wsUrl = `ws://${printer.host}:${printer.wsPort || 8080}/print`;
       const ws = new WebSocket(wsUrl);
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        ws.terminate();
+        if (error) reject(error); else resolve(result);
+      };
 
-      const timeout = setTimeout(() => {
-        ws.close();
-        reject(new Error('WebSocket printer connection timeout'));
+      const timeoutError = (message) => {
+        const error = new Error(message);
+        error.code = 'ETIMEDOUT';
+        return error;
+      };
+
+      let timeout = setTimeout(() => {
+        finish(timeoutError('WebSocket printer connection timeout'));
       }, CONFIG.printerDiscoveryTimeout);
+      onAbort(signal, finish);
 
       ws.on('open', () => {
+        // Bağlantıyı kabul edip yanıt vermeyen yazıcı işi bekletmesin
         clearTimeout(timeout);
-        let printData = data;
-        if (format === 'escpos') {
-          printData = this.convertToESCPOS(data);
+        timeout = setTimeout(() => {
+          finish(timeoutError(`WebSocket printer ${printer.host} did not answer within ${settings.timeout} ms`));
+        }, settings.timeout);
+
+        if (BINARY_FORMATS.includes(format)) {
+          ws.send(JSON.stringify({ type: 'print', data: printData.toString('base64'), encoding: 'base64', format }));
+          return;
         }
 
         ws.send(JSON.stringify({
           type: 'print',
-          data: printData,
+          data: Buffer.isBuffer(printData) ? printData.toString('binary') : printData,
           format: format
         }));
       });
 
       ws.on('message', (message) => {
-        const response = JSON.parse(message.toString());
+        let response;
+        try {
+          response = JSON.parse(message.toString());
+        } catch (error) {
+          const parseError = new Error(`WebSocket printer ${printer.host} sent an invalid response`);
+          parseError.code = 'EPROTO';
+          finish(parseError);
+          return;
+        }
+
         if (response.success) {
-          resolve({
+          finish(null, {
             success: true,
             method: 'websocket',
             message: `WebSocket print successful to ${printer.host}`,
             timestamp: new Date().toISOString()
           });
         } else {
-          reject(new Error(response.error || 'WebSocket print failed'));
+          const printerError = new Error(response.error || 'WebSocket print failed');
+          printerError.code = 'EPRINTERSTATUS';
+          finish(printerError);
         }
-        ws.close();
       });
 
       ws.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(new Error(`WebSocket print error: ${error.message}`));
+        const printError = new Error(`WebSocket print error: ${error.message}`);
+        printError.code = error.code;
+        finish(printError);
+      });
+
+      ws.on('close', () => {
+        const closeError = new Error(`WebSocket printer ${printer.host} closed the connection without answering`);
+        closeError.code = 'ECONNRESET';
+        finish(closeError);
       });
     });
   }
 
-  async printViaHTTP(data, printer, format) {
+
+  async printViaHTTP(data, printer, format, signal) {
     const fetch = require('node-fetch');
     const url = `http://${printer.host}:${printer.httpPort || 8008}/print`;
     
-    let printData = data;
-    if (format === 'escpos') {
-      printData = this.convertToESCPOS(data);
-    }
+    const printData = this.renderPrintData(data, format, printer);
 
     const response = await fetch(url, {
       method: 'POST',
@@ -355,7 +1490,8 @@ class AndroidPrintAgent {
         'Content-Length': Buffer.byteLength(printData)
       },
       body: printData,
-      timeout: CONFIG.printerDiscoveryTimeout
+      timeout: CONFIG.printerDiscoveryTimeout,
+      signal
     });
 
     if (!response.ok) {
@@ -370,73 +1506,371 @@ class AndroidPrintAgent {
     };
   }
 
-  convertToESCPOS(text) {
-    const ESC = '\x1B';
-    const GS = '\x1D';
-    
-    let commands = '';
-    
-    commands += ESC + '@';
-    commands += ESC + 't\x12';
-    commands += ESC + 'R\x12';
-    
-    const turkishMap = {
-      'ç': '\x87', 'Ç': '\x80',
-      'ğ': '\x83', 'Ğ': '\xA6',
-      'ı': '\x8D', 'İ': '\x98',
-      'ö': '\x94', 'Ö': '\x99',
-      'ş': '\x9F', 'Ş': '\x9E',
-      'ü': '\x81', 'Ü': '\x9A'
+  // ePOS-Print: içerik ESC/POS baytları yerine XML öğelerine çevrilip yazıcının web servisine gönderilir
+  async printViaEpos(data, printer, format, signal) {
+    const encoder = new EposEncoder();
+    let body;
+    if (format === 'escpos' || format === 'document') {
+      body = this.renderPrintData(data, format, printer, encoder);
+    } else {
+      // Ham veri ve diğer biçimler yazıcıya <command> öğesiyle olduğu gibi iletilir
+      const bytes = BINARY_FORMATS.includes(format) ? this.loadRawData(data) : Buffer.from(String(data), 'binary');
+      body = encoder.raw(bytes).encode();
+    }
+
+    const response = parseEposResponse(await this.postEpos(printer, body, signal));
+    if (!response.success) {
+      const details = [response.description, ...response.problems.filter(problem => problem !== response.description)];
+      const printError = new Error(`ePOS print failed: ${response.code || 'unknown error'}${details.length ? ` (${details.join(', ')})` : ''}`);
+      printError.code = response.printerStateError ? 'EPRINTERSTATUS' : 'EEPOS';
+      printError.eposCode = response.code;
+      printError.printerStatus = response.flags;
+      throw printError;
+    }
+
+    if (response.flags.paperNearEnd) {
+      console.warn(`Printer ${this.getPrinterName(printer)} is running low on paper`);
+    }
+
+    return {
+      success: true,
+      method: 'epos',
+      message: `ePOS print successful to ${printer.host}`,
+      printerStatus: this.toPrinterStatus(response),
+      timestamp: new Date().toISOString()
     };
-    
-    let processedText = text;
-    for (const [turkish, encoded] of Object.entries(turkishMap)) {
-      processedText = processedText.replace(new RegExp(turkish, 'g'), encoded);
+  }
+
+  postEpos(printer, body, signal) {
+    const settings = { timeout: 10000, ...(CONFIG.protocols && CONFIG.protocols.epos) };
+    const secure = Boolean(printer.eposSecure);
+    const url = new URL(`${secure ? 'https' : 'http'}://${printer.host}:${printer.eposPort || (secure ? 443 : 80)}/cgi-bin/epos/service.cgi`);
+    url.searchParams.set('devid', printer.deviceId || 'local_printer');
+    url.searchParams.set('timeout', String(settings.timeout));
+    const payload = buildEposEnvelope(body);
+
+    return new Promise((resolve, reject) => {
+      const request = (secure ? https : http).request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/xml; charset=utf-8',
+          'Content-Length': Buffer.byteLength(payload),
+          'SOAPAction': '""'
+        },
+        ...printerTlsOptions(printer)
+      }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            const httpError = new Error(`ePOS request failed: HTTP ${response.statusCode}`);
+            httpError.code = 'EEPOS';
+            reject(httpError);
+            return;
+          }
+          resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+      });
+
+      // Yazıcı kendi zaman aşımını uygular; yanıt en geç bundan biraz sonra gelmelidir
+      request.setTimeout(settings.timeout + 5000, () => {
+        const timeoutError = new Error(`ePOS request to ${printer.host} timed out`);
+        timeoutError.code = 'ETIMEDOUT';
+        request.destroy(timeoutError);
+      });
+      request.on('error', (error) => {
+        const printError = new Error(`ePOS print failed: ${error.message}`);
+        printError.code = error.code;
+        reject(printError);
+      });
+      onAbort(signal, error => request.destroy(error));
+      request.end(payload);
+    });
+  }
+
+  // Boş bir ePOS-Print isteği yalnızca yazıcı durumunu döndürür
+  async getEposStatus(printer) {
+    const response = parseEposResponse(await this.postEpos(printer, new EposEncoder().encode()));
+    return this.toPrinterStatus(response);
+  }
+
+  toPrinterStatus(response) {
+    const { flags } = response;
+    return {
+      reachable: true,
+      supported: true,
+      online: !flags.offline,
+      drawerOpen: flags.drawerKick,
+      coverOpen: flags.coverOpen,
+      paperFeed: flags.paperFeed,
+      paperNearEnd: flags.paperNearEnd,
+      paperOut: flags.paperOut,
+      cutterError: flags.cutterError,
+      mechanicalError: flags.mechanicalError,
+      unrecoverableError: flags.unrecoverableError,
+      autoRecoverableError: flags.autoRecoverableError,
+      raw: response.status,
+      problems: response.problems,
+      ready: response.problems.length === 0
+    };
+  }
+
+  // LPD (RFC 1179): veri ham TCP ile aynı şekilde üretilir, kuyruk adı yazıcı kaydından gelir
+  async printViaLPR(data, printer, format, signal) {
+    const printData = this.renderPrintData(data, format, printer);
+    const settings = { timeout: 10000, ...(CONFIG.protocols && CONFIG.protocols.lpr) };
+
+    const job = await sendLprJob({
+      host: printer.host,
+      port: printer.lprPort || 515,
+      queue: printer.queue || settings.queue,
+      data: printData,
+      jobName: printer.jobName || `${this.getPrinterName(printer)} ${format}`,
+      timeout: settings.timeout,
+      dataFileFirst: printer.lprDataFileFirst,
+      signal
+    });
+
+    return {
+      success: true,
+      method: 'lpr',
+      message: `LPR job ${job.jobNumber} queued on ${printer.host}/${job.queue}`,
+      lprJobNumber: job.jobNumber,
+      bytes: job.bytes,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // USB/seri yazıcılar: çıktı ham TCP ile aynı, yalnızca ağ yerine aygıt dosyasına yazılır
+  async printViaDevice(data, printer, format, signal) {
+    // Kuyruğa alınırken doğrulanır; yapılandırma o arada değiştiyse tekrar denemek işe yaramaz
+    const device = this.getConfiguredDevice(printer);
+    if (!device) {
+      const configError = new Error('Device printers must be configured with a device path in config.printers');
+      configError.code = 'EDEVICECONFIG';
+      configError.retryable = false;
+      throw configError;
     }
-    
-    const lines = processedText.split('\n');
-    
-    for (let line of lines) {
-      if (line.includes('ISTANBUL RESTAURANT')) {
-        commands += ESC + 'a\x01';
-        commands += ESC + 'E\x01';
-        commands += GS + '!\x11';
-        commands += line + '\n';
-        commands += ESC + 'E\x00';
-        commands += GS + '!\x00';
+    const entry = (CONFIG.printers || []).find(p => p.id === printer.id);
+
+    const printData = this.renderPrintData(data, format, printer);
+    const settings = { timeout: 10000, ...(CONFIG.protocols && CONFIG.protocols.device) };
+    const result = await writeToDevice(device, printData, { serial: entry.serial, timeout: settings.timeout, signal });
+
+    return {
+      success: true,
+      method: 'device',
+      message: `Printed successfully to ${device}`,
+      bytes: result.bytes,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  createIppClient(printer) {
+    const settings = { timeout: 30000, ...(CONFIG.protocols && CONFIG.protocols.ipp) };
+    return new IppClient({
+      host: printer.host,
+      port: printer.ippPort || 631,
+      path: printer.ippPath,
+      secure: printer.ippSecure,
+      insecureTls: printer.insecureTls,
+      timeout: settings.timeout
+    });
+  }
+
+  // Ofis yazıcıları (IPP): durum ve desteklenen biçimler her işten önce Get-Printer-Attributes ile alınır
+  async printViaIpp(data, printer, format, signal) {
+    const client = this.createIppClient(printer);
+    const attributes = await client.getPrinterAttributes({ signal });
+    if (attributes.state === 'stopped' || !attributes.acceptingJobs) {
+      const reasons = attributes.stateReasons.length > 0 ? attributes.stateReasons.join(', ') : attributes.state;
+      const statusError = new Error(`Printer ${this.getPrinterName(printer)} is not accepting jobs: ${reasons}`);
+      statusError.code = 'EPRINTERSTATUS';
+      throw statusError;
+    }
+
+    const { document, documentFormat } = this.renderIppDocument(data, format, printer, attributes.documentFormats);
+    const job = await client.printJob(document, {
+      documentFormat,
+      jobName: printer.jobName || `${this.getPrinterName(printer)} ${format}`,
+      signal
+    });
+
+    return {
+      success: true,
+      method: 'ipp',
+      message: `IPP job ${job.jobId} accepted by ${printer.host}`,
+      ippJobId: job.jobId,
+      documentFormat,
+      bytes: document.length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  renderIppDocument(data, format, printer, supportedFormats) {
+    let document;
+    let documentFormat;
+    if (IPP_DOCUMENT_FORMATS[format] || format === 'raw') {
+      document = this.loadRawData(data);
+      documentFormat = IPP_DOCUMENT_FORMATS[format] || printer.documentFormat || 'application/octet-stream';
+    } else {
+      // Fiş içerikleri düz metne çevrilir; A4 yazıcılarda satır varsayılan olarak 80 karakterdir
+      const textPrinter = { ...printer, charsPerLine: printer.charsPerLine || 80 };
+      const text = format === 'escpos' || format === 'document'
+        ? this.renderPrintData(data, format, textPrinter, new PlainTextEncoder({ width: textPrinter.charsPerLine }))
+        : String(data);
+      document = Buffer.from(text, 'utf8');
+      documentFormat = supportedFormats.includes('text/plain; charset=utf-8') ? 'text/plain; charset=utf-8' : 'text/plain';
+    }
+
+    // Yazıcı biçim listesi bildirmiyorsa ya da otomatik algılama sunuyorsa belge olduğu gibi gönderilir
+    const baseFormat = documentFormat.split(';')[0];
+    const supported = supportedFormats.length === 0 || supportedFormats.some(supportedFormat =>
+      supportedFormat.split(';')[0] === baseFormat || supportedFormat === 'application/octet-stream');
+    if (!supported) {
+      const formatError = new Error(`Printer ${this.getPrinterName(printer)} does not support ${baseFormat} (supported: ${supportedFormats.join(', ')})`);
+      formatError.code = 'EIPP';
+      throw formatError;
+    }
+    return { document, documentFormat };
+  }
+
+  async getIppStatus(printer) {
+    const attributes = await this.createIppClient(printer).getPrinterAttributes();
+    const reasons = attributes.stateReasons;
+    const has = (...names) => reasons.some(reason => names.some(name => reason.startsWith(name)));
+    // -warning ve -report ekli nedenler yazdırmayı engellemez
+    const problems = reasons.filter(reason => !/-(warning|report)$/.test(reason));
+    if (attributes.state === 'stopped' && problems.length === 0) problems.push('stopped');
+    if (!attributes.acceptingJobs) problems.push('not accepting jobs');
+
+    return {
+      reachable: true,
+      supported: true,
+      online: attributes.state !== 'stopped',
+      state: attributes.state,
+      stateReasons: reasons,
+      stateMessage: attributes.stateMessage,
+      coverOpen: has('cover-open', 'door-open'),
+      paperNearEnd: has('media-low'),
+      paperOut: has('media-empty', 'media-needed'),
+      documentFormats: attributes.documentFormats,
+      problems,
+      ready: problems.length === 0
+    };
+  }
+
+  renderPrintData(data, format, printer, encoder) {
+    switch (format) {
+      case 'raw':
+      case 'pdf':
+      case 'pwg':
+        return this.loadRawData(data);
+
+      case 'escpos':
+        return this.convertToESCPOS(data, printer, encoder);
+
+      case 'document': {
+        const layout = getPrinterLayout(printer);
+        return renderDocument(data, encoder || this.createEncoder(printer), {
+          width: layout.charsPerLine,
+          dotWidth: layout.dotWidth,
+          loadImage: (id) => this.images.load(id)
+        });
+      }
+
+      case 'zpl':
+        return renderZpl(data, { ...CONFIG.label, ...printer.label, loadImage: (id) => this.images.load(id) });
+
+      default:
+        return data;
+    }
+  }
+
+  getCodePageOptions(printer = {}) {
+    const charset = CONFIG.turkish_chars || {};
+    return {
+      codePages: printer.codePages || [charset.encoding || 'cp857', charset.fallback_encoding].filter(Boolean),
+      codePageIds: printer.codePageIds,
+      substitute: printer.substitute !== undefined ? printer.substitute : charset.substitute
+    };
+  }
+
+  createEncoder(printer = {}) {
+    const layout = getPrinterLayout(printer);
+    return createCommandEncoder(printer.commandSet, {
+      ...this.getCodePageOptions(printer),
+      nativeQr: printer.nativeQr,
+      imageMode: printer.imageMode,
+      bandHeight: printer.bandHeight,
+      font: layout.font,
+      dotWidth: layout.dotWidth
+    });
+  }
+
+  convertToESCPOS(text, printer = {}, encoder = this.createEncoder(printer)) {
+    const { charsPerLine, dotWidth } = getPrinterLayout(printer);
+    const wrap = (line, scale = 1) => wrapText(line, Math.floor(charsPerLine / scale)).forEach(part => encoder.line(part));
+    encoder.initialize();
+
+    for (const line of String(text).split('\n')) {
+      // Satır başına [[qr:içerik]], [[barcode:CODE128:içerik]] veya [[image:logo]] kaçışları
+      const code = line.match(/^\s*\[\[(qr|barcode|image):(.+)\]\]\s*$/i);
+      if (code && code[1].toLowerCase() === 'image') {
+        const bitmap = imageToBitmap(this.images.load(code[2].trim()), { maxWidth: dotWidth });
+        encoder.align('center').image(bitmap).align('left');
+      } else if (code && code[1].toLowerCase() === 'qr') {
+        encoder.align('center').qrcode(code[2]).newline().align('left');
+      } else if (code) {
+        const separator = code[2].indexOf(':');
+        const symbology = separator > 0 ? code[2].slice(0, separator) : 'CODE128';
+        encoder.align('center').barcode(code[2].slice(separator + 1), { symbology }).newline().align('left');
+      } else if (line.includes('ISTANBUL RESTAURANT')) {
+        encoder.align('center').bold(true).size(2, 2);
+        wrap(line.trim(), 2);
+        encoder.bold(false).size(1, 1);
       } else if (line.includes('TOPLAM:')) {
-        commands += ESC + 'E\x01';
-        commands += GS + '!\x10';
-        commands += line + '\n';
-        commands += ESC + 'E\x00';
-        commands += GS + '!\x00';
+        encoder.bold(true).size(2, 1);
+        wrap(line, 2);
+        encoder.bold(false).size(1, 1);
       } else if (line.includes('===')) {
-        commands += ESC + 'a\x01';
-        commands += line + '\n';
-        commands += ESC + 'a\x00';
+        encoder.align('center');
+        encoder.line(line.trim().slice(0, charsPerLine));
+        encoder.align('left');
       } else {
-        commands += line + '\n';
+        wrap(line);
       }
     }
-    
-    commands += GS + 'V\x00';
-    
-    return commands;
+
+    encoder.cut();
+    return encoder.encode();
   }
 
   async discoverPrinters() {
+    // Süren bir tarama varsa yeni istek onun sonucunu bekler; soket sayısı ikiye katlanmaz
+    if (!this.discovery) {
+      this.discovery = this.runDiscovery().finally(() => {
+        this.discovery = null;
+      });
+    }
+    return this.discovery;
+  }
+
+  async runDiscovery() {
     console.log('Discovering printers on network...');
-    
+
+    // Bilinen adresler ve aralıklar aynı işçi sınırını paylaşmak için art arda taranır
     const discoveries = await Promise.allSettled([
-      this.discoverByPortScan(),
       this.discoverByBroadcast(),
-      this.discoverByCommonAddresses()
+      this.discoverByCommonAddresses().then(async (common) => [...common, ...await this.discoverByPortScan()])
     ]);
 
     const printers = new Set();
     discoveries.forEach(result => {
       if (result.status === 'fulfilled' && result.value) {
         result.value.forEach(printer => printers.add(JSON.stringify(printer)));
+      } else if (result.status === 'rejected') {
+        console.warn('Discovery method failed:', result.reason.message);
       }
     });
 
@@ -446,27 +1880,82 @@ class AndroidPrintAgent {
     return uniquePrinters;
   }
 
-  async discoverByPortScan() {
-    const subnet = this.getPrimaryIP().split('.').slice(0, 3).join('.');
-    const commonPorts = [9100, 9101, 9102, 8080, 8008, 631];
-    const printers = [];
+  getDiscoveryOptions() {
+    // config.json'daki discovery bloğu varsayılanların tamamını ezer; eksik anahtarlar buradan tamamlanır
+    return { ...DISCOVERY_DEFAULTS, ...CONFIG.discovery };
+  }
+
+  getScanRanges(options) {
+    const ranges = [...(options.scan_ranges || [])];
+    if (options.include_local_subnet) {
+      ranges.push(`${this.getPrimaryIP()}/24`);
+    }
 
-    const scanPromises = [];
-    for (let i = 1; i < 255; i++) {
-      const host = `${subnet}.${i}`;
-      for (const port of commonPorts) {
-        scanPromises.push(this.testConnection(host, port));
+    const seen = new Set();
+    const valid = [];
+    for (const range of ranges) {
+      try {
+        const parsed = parseCidr(range);
+        const key = `${parsed.network}/${parsed.prefix}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (parsed.count > options.max_hosts) {
+          console.warn(`Skipping scan range ${range}: ${parsed.count} hosts exceeds max_hosts (${options.max_hosts})`);
+          continue;
+        }
+        valid.push({ range, count: parsed.count });
+      } catch (error) {
+        console.warn(`Skipping scan range: ${error.message}`);
       }
     }
+    return valid;
+  }
 
-    const results = await Promise.allSettled(scanPromises);
-    results.forEach(result => {
-      if (result.status === 'fulfilled' && result.value) {
-        printers.push(result.value);
+  async discoverByPortScan() {
+    const options = this.getDiscoveryOptions();
+    const ranges = this.getScanRanges(options);
+    const ports = options.ports;
+
+    // Hedefler tembel üretilir; büyük aralıklar bellekte listeye açılmaz
+    function* targets() {
+      for (const { range } of ranges) {
+        for (const host of cidrHosts(range)) {
+          for (const port of ports) {
+            yield { host, port };
+          }
+        }
       }
-    });
+    }
+
+    const total = ranges.reduce((sum, { count }) => sum + count, 0) * ports.length;
+    console.log(`Scanning ${ranges.map(({ range }) => range).join(', ') || 'no ranges'} on ports ${ports.join(', ')}`);
+    return this.scanDiscoveryTargets('ranges', targets(), total, options);
+  }
+
+  async scanDiscoveryTargets(phase, targets, total, options) {
+    const reportProgress = ({ scanned, found }) => {
+      this.discoveryProgress = {
+        phase,
+        scanned,
+        total,
+        found,
+        percent: total > 0 ? Math.round((scanned / total) * 100) : 100,
+        updatedAt: new Date().toISOString()
+      };
+      this.broadcast({ type: 'discovery_progress', data: this.discoveryProgress });
+    };
 
-    return printers;
+    reportProgress({ scanned: 0, found: 0 });
+    const found = await scanTargets(targets, {
+      total,
+      concurrency: options.concurrency,
+      probe: (host, port) => this.testConnection(host, port, options.probe_timeout_ms),
+      onProgress: reportProgress
+    });
+    if (total > 0) {
+      console.log(`Discovery (${phase}): scanned ${total} address(es), ${found.length} responded`);
+    }
+    return found;
   }
 
   async discoverByBroadcast() {
@@ -510,33 +1999,22 @@ class AndroidPrintAgent {
   }
 
   async discoverByCommonAddresses() {
-    const commonAddresses = [
-      '192.168.1.100:9100',
-      '192.168.1.200:9100',
-      '192.168.0.100:9100',
-      '192.168.178.54:9100',
-      '10.0.0.100:9100'
-    ];
-
-    const printers = [];
-    for (const address of commonAddresses) {
-      const [host, port] = address.split(':');
-      const result = await this.testConnection(host, parseInt(port));
-      if (result) {
-        printers.push(result);
-      }
-    }
+    const options = this.getDiscoveryOptions();
+    const targets = (options.common_addresses || []).map((address) => {
+      const [host, port] = String(address).split(':');
+      return { host, port: parseInt(port) || 9100 };
+    });
 
-    return printers;
+    return this.scanDiscoveryTargets('common_addresses', targets, targets.length, options);
   }
 
-  async testConnection(host, port) {
+  async testConnection(host, port, timeoutMs = 1000) {
     return new Promise((resolve) => {
       const socket = new net.Socket();
       const timer = setTimeout(() => {
         socket.destroy();
         resolve(null);
-      }, 1000);
+      }, timeoutMs);
 
       socket.connect(port, host, () => {
         clearTimeout(timer);
@@ -556,30 +2034,6 @@ class AndroidPrintAgent {
     });
   }
 
-  generateTestReceipt() {
-    const currentTime = new Date();
-    return `
-================================
-     ISTANBUL RESTAURANT
-         Stuttgart
-================================
-ANDROID TEST YAZDIRMA
-Tarih: ${currentTime.toLocaleDateString('tr-TR')}
-Saat: ${currentTime.toLocaleTimeString('tr-TR')}
-================================
-Bu bir Android test yazdirmasidir.
-Lenovo tablet başarıyla bağlandı!
-
-Türkçe karakter testi:
-çığöşüÇIĞÖŞÜ
-
-HilfeX Digital Menu System
-Android Local Print Agent v2.0
-================================
-
-`;
-  }
-
   getPrimaryIP() {
     const interfaces = os.networkInterfaces();
     for (const name of Object.keys(interfaces)) {
@@ -597,6 +2051,8 @@ Android Local Print Agent v2.0
       const configPath = path.join(__dirname, 'config.json');
       const configData = fs.readFileSync(configPath, 'utf8');
       Object.assign(CONFIG, JSON.parse(configData));
+      // Eski sürümlerin config.json'a yazdığı veri dizini yok sayılır
+      delete CONFIG.dataDir;
       console.log('Configuration loaded');
     } catch (error) {
       console.log('Using default configuration');
@@ -670,6 +2126,10 @@ Android Local Print Agent v2.0
       });
 
       this.startHealthCheck();
+      this.queue.start();
+      if (CONFIG.monitor.enabled) {
+        this.monitor.start();
+      }
 
       setTimeout(async () => {
         try {
@@ -693,6 +2153,14 @@ Android Local Print Agent v2.0
     if (healthCheckTimer) {
       clearInterval(healthCheckTimer);
     }
+
+    if (this.queue) {
+      this.queue.stop();
+    }
+
+    if (this.monitor) {
+      this.monitor.stop();
+    }
     
     if (this.wsServer) {
       this.wsServer.close();
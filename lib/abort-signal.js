@@ -0,0 +1,25 @@
+// Aktarımlar kuyruğun iptal sinyalini dinler; handler iptal nedeniyle (kuyruğun zaman aşımı hatası) çağrılır
+function abortReason(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('Print attempt was aborted');
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+// Dinleyiciyi kaldıran bir işlev döner; sinyal zaten iptal edilmişse handler hemen çağrılır
+function onAbort(signal, handler) {
+  if (!signal) {
+    return () => {};
+  }
+  if (signal.aborted) {
+    handler(abortReason(signal));
+    return () => {};
+  }
+  const listener = () => handler(abortReason(signal));
+  signal.addEventListener('abort', listener, { once: true });
+  return () => signal.removeEventListener('abort', listener);
+}
+
+module.exports = { onAbort };
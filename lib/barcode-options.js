@@ -0,0 +1,14 @@
+const HRI_VALUES = ['none', 'above', 'below', 'both'];
+
+// hri: true/false, konum adı ya da verilmemiş olabilir; false yazıyı kapatır, true ve boş değer alta basar
+function normalizeHri(value) {
+  if (value === false) return 'none';
+  if (value === true || value === undefined || value === null || value === '') return 'below';
+  const position = String(value).toLowerCase();
+  if (!HRI_VALUES.includes(position)) {
+    throw new Error(`Barcode hri must be true, false or one of: ${HRI_VALUES.join(', ')}`);
+  }
+  return position;
+}
+
+module.exports = { normalizeHri };
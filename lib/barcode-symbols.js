@@ -0,0 +1,105 @@
+// Önizleme için gerçek çubuk desenleri; her karakter bir modül: '1' çubuk, '0' boşluk
+
+// Code128 değer tablosu (0-106): çubuk/boşluk genişlikleri, 106 durdurma karakteridir
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// EAN sol (L) kodları; sağ (R) kodlar bunların tümleyeni, G kodlar R'nin tersidir
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R = EAN_L.map(code => code.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const EAN_G = EAN_R.map(code => code.split('').reverse().join(''));
+// EAN-13'te ilk rakam sol yarının L/G dizilişinden okunur
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code39: dokuz öğeden (çubuk, boşluk, ...) hangilerinin geniş olduğu
+const CODE39_PATTERNS = {
+  '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn', '4': 'nnnwwnnnw',
+  '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw', '8': 'wnnwnnwnn', '9': 'nnwwnnwnn',
+  A: 'wnnnnwnnw', B: 'nnwnnwnnw', C: 'wnwnnwnnn', D: 'nnnnwwnnw', E: 'wnnnwwnnn',
+  F: 'nnwnwwnnn', G: 'nnnnnwwnw', H: 'wnnnnwwnn', I: 'nnwnnwwnn', J: 'nnnnwwwnn',
+  K: 'wnnnnnnww', L: 'nnwnnnnww', M: 'wnwnnnnwn', N: 'nnnnwnnww', O: 'wnnnwnnwn',
+  P: 'nnwnwnnwn', Q: 'nnnnnnwww', R: 'wnnnnnwwn', S: 'nnwnnnwwn', T: 'nnnnwnwwn',
+  U: 'wwnnnnnnw', V: 'nwwnnnnnw', W: 'wwwnnnnnn', X: 'nwnnwnnnw', Y: 'wwnnwnnnn',
+  Z: 'nwwnwnnnn', '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '$': 'nwnwnwnnn',
+  '/': 'nwnwnnnwn', '+': 'nwnnnwnwn', '%': 'nnnwnwnwn', '*': 'nwnnwnwnn'
+};
+
+function widthsToModules(widths) {
+  return Array.from(widths).map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width))).join('');
+}
+
+function code128(data) {
+  const values = Array.from(data).map(char => char.charCodeAt(0) - 32);
+  if (values.length === 0 || values.some(value => value < 0 || value > 94)) {
+    return null;
+  }
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+  return [CODE128_START_B, ...values, checksum, CODE128_STOP].map(value => widthsToModules(CODE128_WIDTHS[value])).join('');
+}
+
+function eanCheckDigit(digits) {
+  // Sağdan başlayarak tek konumdaki rakamlar 3 ile çarpılır
+  const sum = Array.from(digits).reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function ean13(data) {
+  if (!/^\d{12,13}$/.test(data)) {
+    return null;
+  }
+  const digits = data.slice(0, 12) + eanCheckDigit(data.slice(0, 12));
+  const parity = EAN13_PARITY[Number(digits[0])];
+  const left = Array.from(digits.slice(1, 7)).map((digit, index) => (parity[index] === 'L' ? EAN_L : EAN_G)[digit]).join('');
+  const right = Array.from(digits.slice(7)).map(digit => EAN_R[digit]).join('');
+  return `101${left}01010${right}101`;
+}
+
+function ean8(data) {
+  if (!/^\d{7,8}$/.test(data)) {
+    return null;
+  }
+  const digits = data.slice(0, 7) + eanCheckDigit(data.slice(0, 7));
+  const left = Array.from(digits.slice(0, 4)).map(digit => EAN_L[digit]).join('');
+  const right = Array.from(digits.slice(4)).map(digit => EAN_R[digit]).join('');
+  return `101${left}01010${right}101`;
+}
+
+function code39(data) {
+  const text = `*${data.toUpperCase()}*`;
+  if (data.length === 0 || data.includes('*') || Array.from(text).some(char => !CODE39_PATTERNS[char])) {
+    return null;
+  }
+  // Geniş öğeler dar olanların üç katıdır; karakterler arasında bir modül boşluk kalır
+  return Array.from(text)
+    .map(char => widthsToModules(Array.from(CODE39_PATTERNS[char]).map(width => (width === 'w' ? 3 : 1)).join('')))
+    .join('0');
+}
+
+const ENCODERS = {
+  CODE128: code128,
+  EAN13: ean13,
+  EAN8: ean8,
+  UPCA: data => (/^\d{11,12}$/.test(data) ? ean13(`0${data}`) : null),
+  CODE39: code39
+};
+
+// Desteklenmeyen simgeleme ya da geçersiz veri için null döner
+function encodeBarcodeModules(symbology, data) {
+  const encoder = ENCODERS[symbology];
+  return encoder ? encoder(String(data)) : null;
+}
+
+module.exports = { encodeBarcodeModules };
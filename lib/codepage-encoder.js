@@ -0,0 +1,133 @@
+// Her kod sayfasının 0x80-0xFF aralığındaki karakterleri; tanımsız baytlar U+FFFD ile gösterilir
+const UPPER_HALVES = {
+  cp437:
+    'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+    'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0',
+  cp857:
+    'ÇüéâäàåçêëèïîıÄÅÉæÆôöòûùİÖÜø£ØŞş' +
+    'áíóúñÑĞğ¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+    '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ºªÊËÈ\uFFFDÍÎÏ┘┌█▄¦Ì▀' +
+    'ÓßÔÒõÕµ\uFFFD×ÚÛÙìÿ¯´\u00AD±\uFFFD¾¶§÷¸°¨·¹³²■\u00A0',
+  cp858:
+    'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+    'áíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+    '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀' +
+    'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0',
+  cp1252:
+    '€\uFFFD‚ƒ„…†‡ˆ‰Š‹Œ\uFFFDŽ\uFFFD\uFFFD‘’“”•–—˜™š›œ\uFFFDžŸ' +
+    '\u00A0¡¢£¤¥¦§¨©ª«¬\u00AD®¯°±²³´µ¶·¸¹º»¼½¾¿' +
+    'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞß' +
+    'àáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ',
+  cp1254:
+    '€\uFFFD‚ƒ„…†‡ˆ‰Š‹Œ\uFFFD\uFFFD\uFFFD\uFFFD‘’“”•–—˜™š›œ\uFFFD\uFFFDŸ' +
+    '\u00A0¡¢£¤¥¦§¨©ª«¬\u00AD®¯°±²³´µ¶·¸¹º»¼½¾¿' +
+    'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏĞÑÒÓÔÕÖ×ØÙÚÛÜİŞß' +
+    'àáâãäåæçèéêëìíîïğñòóôõö÷øùúûüışÿ'
+};
+
+// Epson ESC t numaraları; farklı numaralandırma kullanan yazıcılar codePageIds ile ezebilir
+const DEFAULT_CODE_PAGE_IDS = {
+  cp437: 0,
+  cp857: 13,
+  cp858: 19,
+  cp1252: 16,
+  cp1254: 48
+};
+
+const CHAR_MAPS = {};
+for (const [name, upperHalf] of Object.entries(UPPER_HALVES)) {
+  const map = new Map();
+  Array.from(upperHalf).forEach((char, index) => {
+    if (char !== '\uFFFD') {
+      map.set(char, 0x80 + index);
+    }
+  });
+  CHAR_MAPS[name] = map;
+}
+
+function normalizeCodePage(name) {
+  const normalized = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const aliases = { windows1252: 'cp1252', windows1254: 'cp1254', ibm437: 'cp437', ibm857: 'cp857', ibm858: 'cp858' };
+  return aliases[normalized] || normalized;
+}
+
+class CodePageEncoder {
+  constructor(options = {}) {
+    this.codePages = (options.codePages || ['cp857'])
+      .map(normalizeCodePage)
+      .filter((name, index, list) => list.indexOf(name) === index);
+    this.codePageIds = { ...(options.defaultCodePageIds || DEFAULT_CODE_PAGE_IDS), ...(options.codePageIds || {}) };
+    this.selectBytes = options.selectCommand || (id => [0x1B, 0x74, id]);
+    this.substitute = options.substitute === undefined ? '?' : options.substitute;
+    this.current = null;
+
+    const unsupported = this.codePages.filter(name => !CHAR_MAPS[name]);
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported code page(s): ${unsupported.join(', ')}. Supported: ${Object.keys(CHAR_MAPS).join(', ')}`);
+    }
+
+    // Komut setinde numarası olmayan kod sayfaları atlanır (ör. Star yazıcılarda cp1254)
+    this.codePages = this.codePages.filter(name => this.codePageIds[name] !== undefined);
+    if (this.codePages.length === 0) {
+      throw new Error('None of the configured code pages can be selected on this printer; set codePageIds');
+    }
+  }
+
+  get defaultCodePage() {
+    return this.codePages[0];
+  }
+
+  selectCommand(codePage) {
+    this.current = codePage;
+    return this.selectBytes(this.codePageIds[codePage]);
+  }
+
+  reset() {
+    return this.selectCommand(this.defaultCodePage);
+  }
+
+  encode(text) {
+    const bytes = [];
+    if (!this.current) {
+      bytes.push(...this.reset());
+    }
+
+    for (const char of String(text)) {
+      if (char.charCodeAt(0) < 0x80) {
+        bytes.push(char.charCodeAt(0));
+        continue;
+      }
+
+      if (!CHAR_MAPS[this.current].has(char)) {
+        const codePage = this.codePages.find(name => CHAR_MAPS[name].has(char));
+        if (!codePage) {
+          bytes.push(...Buffer.from(this.substitute, 'latin1'));
+          continue;
+        }
+        bytes.push(...this.selectCommand(codePage));
+      }
+      bytes.push(CHAR_MAPS[this.current].get(char));
+    }
+
+    return bytes;
+  }
+
+  // ESC t numarasına karşılık gelen kod sayfası (önizleme için)
+  codePageForId(id) {
+    return Object.keys(this.codePageIds).find(name => this.codePageIds[name] === id && UPPER_HALVES[name]);
+  }
+
+  decode(byte, codePage = this.current || this.defaultCodePage) {
+    if (byte < 0x80) {
+      return String.fromCharCode(byte);
+    }
+    const char = UPPER_HALVES[codePage][byte - 0x80];
+    return char === '\uFFFD' ? this.substitute : char;
+  }
+}
+
+CodePageEncoder.SUPPORTED_CODE_PAGES = Object.keys(CHAR_MAPS);
+
+module.exports = CodePageEncoder;
@@ -0,0 +1,26 @@
+const EscPosEncoder = require('./escpos-encoder');
+const StarEncoder = require('./star-encoder');
+
+// Yazıcı kaydındaki commandSet değerine göre kodlayıcı seçilir
+const COMMAND_SETS = {
+  escpos: options => new EscPosEncoder(options),
+  starprnt: options => new StarEncoder({ ...options, lineMode: false }),
+  starline: options => new StarEncoder({ ...options, lineMode: true })
+};
+
+const ALIASES = { star: 'starprnt', starlinemode: 'starline', epson: 'escpos' };
+
+function normalizeCommandSet(name) {
+  const normalized = String(name || 'escpos').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const commandSet = ALIASES[normalized] || normalized;
+  if (!COMMAND_SETS[commandSet]) {
+    throw new Error(`Unknown command set: ${name}. Supported: ${Object.keys(COMMAND_SETS).join(', ')}`);
+  }
+  return commandSet;
+}
+
+function createCommandEncoder(commandSet, options = {}) {
+  return COMMAND_SETS[normalizeCommandSet(commandSet)](options);
+}
+
+module.exports = { createCommandEncoder, normalizeCommandSet, COMMAND_SETS: Object.keys(COMMAND_SETS) };
@@ -0,0 +1,166 @@
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'kitchen',
+    name: 'Kitchen Ticket',
+    format: 'document',
+    content: [
+      { type: 'text', text: 'MUTFAK', align: 'center', bold: true, size: 2 },
+      { type: 'text', text: 'Masa: {{table}}  Sipariş: #{{orderNumber}}', bold: true, size: { width: 1, height: 2 } },
+      { type: 'text', text: '{{now | date}} {{now | time}}{{#if waiter}}  Garson: {{waiter}}{{/if}}' },
+      { type: 'separator', char: '=' },
+      {
+        type: 'each',
+        items: 'items',
+        blocks: [
+          { type: 'item', qty: '{{qty}}', name: '{{name}}', bold: true, size: { width: 1, height: 2 }, notes: '{{notes}}' }
+        ]
+      },
+      {
+        type: 'if',
+        test: 'note',
+        blocks: [
+          { type: 'separator' },
+          { type: 'text', text: 'NOT: {{note}}', bold: true }
+        ]
+      },
+      { type: 'if', test: 'orderNumber', blocks: [{ type: 'barcode', data: '{{orderNumber}}', symbology: 'CODE128', height: 60 }] },
+      { type: 'feed', lines: 2 },
+      { type: 'cut', partial: true }
+    ]
+  },
+  {
+    id: 'bar',
+    name: 'Bar Ticket',
+    format: 'document',
+    content: [
+      { type: 'text', text: 'BAR', align: 'center', bold: true, size: 2 },
+      { type: 'text', text: 'Masa: {{table}}  Sipariş: #{{orderNumber}}', bold: true },
+      { type: 'text', text: '{{now | time}}{{#if waiter}}  Garson: {{waiter}}{{/if}}' },
+      { type: 'separator', char: '=' },
+      {
+        type: 'each',
+        items: 'items',
+        blocks: [
+          { type: 'item', qty: '{{qty}}', name: '{{name}}', bold: true, notes: '{{notes}}' }
+        ]
+      },
+      { type: 'feed', lines: 2 },
+      { type: 'cut', partial: true }
+    ]
+  },
+  {
+    id: 'bill',
+    name: 'Customer Bill',
+    format: 'document',
+    content: [
+      { type: 'if', test: 'logo', blocks: [{ type: 'image', image: '{{logo}}' }] },
+      { type: 'text', text: '{{restaurant.name}}', align: 'center', bold: true, size: 2 },
+      { type: 'if', test: 'restaurant.address', blocks: [{ type: 'text', text: '{{restaurant.address}}', align: 'center' }] },
+      { type: 'if', test: 'restaurant.phone', blocks: [{ type: 'text', text: 'Tel: {{restaurant.phone}}', align: 'center' }] },
+      { type: 'separator', char: '=' },
+      { type: 'text', text: 'Masa: {{table}}  Fiş: #{{orderNumber}}' },
+      { type: 'text', text: 'Tarih: {{now | date}}  Saat: {{now | time}}' },
+      { type: 'separator' },
+      {
+        type: 'each',
+        items: 'items',
+        blocks: [
+          { type: 'item', qty: '{{qty}}', name: '{{name}}', price: '{{price | money}}', notes: '{{notes}}' }
+        ]
+      },
+      { type: 'separator' },
+      { type: 'if', test: 'subtotal', blocks: [{ type: 'item', name: 'Ara Toplam', price: '{{subtotal | money}}' }] },
+      { type: 'if', test: 'tax', blocks: [{ type: 'item', name: 'MwSt/KDV', price: '{{tax | money}}' }] },
+      { type: 'if', test: 'discount', blocks: [{ type: 'item', name: 'İndirim', price: '-{{discount | money}}' }] },
+      { type: 'item', name: 'TOPLAM', price: '{{total | money}}', bold: true },
+      { type: 'if', test: 'paymentMethod', blocks: [{ type: 'text', text: 'Ödeme: {{paymentMethod | upper}}' }] },
+      { type: 'separator', char: '=' },
+      { type: 'text', text: '{{#if footer}}{{footer}}{{else}}Afiyet olsun!{{/if}}', align: 'center' },
+      {
+        type: 'if',
+        test: 'qrUrl',
+        blocks: [
+          { type: 'qr', data: '{{qrUrl}}', size: 6 },
+          { type: 'if', test: 'qrCaption', blocks: [{ type: 'text', text: '{{qrCaption}}', align: 'center' }] }
+        ]
+      },
+      { type: 'feed', lines: 2 },
+      { type: 'cut' }
+    ]
+  },
+  {
+    id: 'daily_report',
+    name: 'Daily Report',
+    format: 'document',
+    content: [
+      { type: 'text', text: 'GÜN SONU RAPORU', align: 'center', bold: true, size: 2 },
+      { type: 'text', text: '{{restaurant.name}}', align: 'center' },
+      { type: 'text', text: 'Tarih: {{date}}', align: 'center' },
+      { type: 'separator', char: '=' },
+      { type: 'item', name: 'Sipariş sayısı', price: '{{orderCount}}' },
+      { type: 'item', name: 'Ciro', price: '{{revenue | money}}', bold: true },
+      { type: 'if', test: 'tax', blocks: [{ type: 'item', name: 'MwSt/KDV', price: '{{tax | money}}' }] },
+      {
+        type: 'if',
+        test: 'payments',
+        blocks: [
+          { type: 'separator' },
+          { type: 'text', text: 'Ödeme Türleri', bold: true },
+          { type: 'each', items: 'payments', blocks: [{ type: 'item', name: '{{method}}', price: '{{amount | money}}' }] }
+        ]
+      },
+      {
+        type: 'if',
+        test: 'topItems',
+        blocks: [
+          { type: 'separator' },
+          { type: 'text', text: 'En Çok Satanlar', bold: true },
+          { type: 'each', items: 'topItems', blocks: [{ type: 'item', qty: '{{qty}}', name: '{{name}}', price: '{{total | money}}' }] }
+        ]
+      },
+      { type: 'separator', char: '=' },
+      { type: 'text', text: 'Yazdırıldı: {{now | date}} {{now | time}}', align: 'center' },
+      { type: 'feed', lines: 2 },
+      { type: 'cut' }
+    ]
+  },
+  {
+    id: 'takeaway_label',
+    name: 'Takeaway Bag Label',
+    format: 'zpl',
+    content: [
+      { type: 'text', text: '{{customerName | upper}}', size: 6, align: 'center', bold: true },
+      { type: 'text', text: '#{{orderNumber}}', size: 9, align: 'center', bold: true },
+      { type: 'text', text: '{{now | time}}{{#if itemCount}}  {{itemCount}} ürün{{/if}}', size: 3, align: 'center' },
+      { type: 'line' },
+      { type: 'barcode', data: '{{orderNumber}}', symbology: 'CODE128', height: 10, x: 12 }
+    ]
+  },
+  {
+    id: 'test',
+    name: 'Test Receipt',
+    format: 'escpos',
+    content: `
+================================
+     ISTANBUL RESTAURANT
+         Stuttgart
+================================
+ANDROID TEST YAZDIRMA
+Tarih: {{now | date}}
+Saat: {{now | time}}
+================================
+Bu bir Android test yazdirmasidir.
+Lenovo tablet başarıyla bağlandı!
+
+Türkçe karakter testi:
+çığöşüÇIĞÖŞÜ
+
+HilfeX Digital Menu System
+Android Local Print Agent v2.0
+================================
+
+`
+  }
+];
+
+module.exports = DEFAULT_TEMPLATES;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { onAbort } = require('./abort-signal');
+
+const PARITY_FLAGS = {
+  none: ['-parenb'],
+  even: ['parenb', '-parodd'],
+  odd: ['parenb', 'parodd']
+};
+
+const FLOW_CONTROL_FLAGS = {
+  none: ['-crtscts', '-ixon', '-ixoff'],
+  rtscts: ['crtscts', '-ixon', '-ixoff'],
+  xonxoff: ['-crtscts', 'ixon', 'ixoff']
+};
+
+function deviceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Aygıt dosyası hatalarını kullanıcının anlayacağı iletilere çevirir
+function describeDeviceError(error, devicePath) {
+  switch (error.code) {
+    case 'ENOENT':
+    case 'ENXIO':
+    case 'ENODEV':
+      return deviceError(`Printer device ${devicePath} not found; check that the printer is connected and powered on`, 'ENODEV');
+    case 'EBUSY':
+      return deviceError(`Printer device ${devicePath} is busy; another program is using it`, 'EBUSY');
+    case 'EACCES':
+    case 'EPERM':
+      return deviceError(`No permission to write to ${devicePath}; add the agent's user to the lp or dialout group`, 'EACCES');
+    case 'EIO':
+      return deviceError(`Printer device ${devicePath} reported an I/O error; the printer may be offline or out of paper`, 'EIO');
+    default:
+      return deviceError(`Printer device ${devicePath} failed: ${error.message}`, error.code);
+  }
+}
+
+function isSerialDevice(devicePath, serial) {
+  return Boolean(serial) || /\/tty/.test(devicePath);
+}
+
+function sttyArguments(devicePath, serial = {}) {
+  const parity = String(serial.parity || 'none').toLowerCase();
+  const flowControl = String(serial.flowControl || 'none').toLowerCase().replace(/[^a-z]/g, '');
+  if (!PARITY_FLAGS[parity]) {
+    throw deviceError(`Unsupported parity: ${serial.parity} (none, even or odd)`, 'EINVAL');
+  }
+  if (!FLOW_CONTROL_FLAGS[flowControl]) {
+    throw deviceError(`Unsupported flow control: ${serial.flowControl} (none, rtscts or xonxoff)`, 'EINVAL');
+  }
+
+  const dataBits = [5, 6, 7, 8].includes(Number(serial.dataBits)) ? Number(serial.dataBits) : 8;
+  return [
+    process.platform === 'darwin' ? '-f' : '-F', devicePath,
+    String(serial.baudRate || 9600),
+    `cs${dataBits}`,
+    Number(serial.stopBits) === 2 ? 'cstopb' : '-cstopb',
+    ...PARITY_FLAGS[parity],
+    ...FLOW_CONTROL_FLAGS[flowControl],
+    // Ham mod: satır sonu dönüşümü ve yankı olmadan baytlar olduğu gibi gider
+    'raw', '-echo', 'clocal'
+  ];
+}
+
+function configureSerial(devicePath, serial, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    execFile('stty', sttyArguments(devicePath, serial), { timeout: timeoutMs }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve();
+        return;
+      }
+      if (error.code === 'ENOENT' && error.path === 'stty') {
+        reject(deviceError('stty is not available; serial settings cannot be applied', 'ENOSTTY'));
+        return;
+      }
+      const output = String(stderr || error.message).trim();
+      if (/no such file/i.test(output)) {
+        reject(describeDeviceError({ code: 'ENOENT' }, devicePath));
+      } else if (/busy/i.test(output)) {
+        reject(describeDeviceError({ code: 'EBUSY' }, devicePath));
+      } else {
+        reject(deviceError(`Could not configure ${devicePath}: ${output}`, 'ESERIAL'));
+      }
+    });
+  });
+}
+
+async function writeToDevice(devicePath, data, options = {}) {
+  const timeout = options.timeout || 10000;
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'binary');
+
+  try {
+    const stats = await fs.promises.stat(devicePath);
+    if (!stats.isCharacterDevice()) {
+      throw deviceError(`${devicePath} is not a character device`, 'ENOTDEVICE');
+    }
+  } catch (error) {
+    throw error.code === 'ENOTDEVICE' ? error : describeDeviceError(error, devicePath);
+  }
+
+  if (isSerialDevice(devicePath, options.serial)) {
+    await configureSerial(devicePath, options.serial, timeout);
+  }
+
+  return new Promise((resolve, reject) => {
+    // O_CREAT olmadan açılır; aygıt bu arada kaybolursa yerine normal bir dosya oluşmaz
+    const stream = fs.createWriteStream(devicePath, { flags: fs.constants.O_WRONLY });
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) {
+        stream.destroy();
+        reject(error);
+      } else {
+        resolve({ bytes: buffer.length });
+      }
+    };
+
+    // Kağıdı biten ya da akış kontrolünde takılan yazıcılar yazmayı süresiz bekletebilir
+    const timer = setTimeout(() => {
+      finish(deviceError(`Printer device ${devicePath} did not accept data within ${timeout} ms`, 'ETIMEDOUT'));
+    }, timeout);
+
+    onAbort(options.signal, finish);
+    stream.on('error', error => finish(describeDeviceError(error, devicePath)));
+    stream.on('close', () => finish(null));
+    stream.end(buffer);
+  });
+}
+
+module.exports = { writeToDevice, sttyArguments, describeDeviceError };
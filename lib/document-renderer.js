@@ -0,0 +1,187 @@
+const { imageToBitmap } = require('./image-processing');
+const { decodeBase64Image } = require('./image-store');
+const { wrapText, formatItemLines, textLength } = require('./layout');
+
+const DEFAULT_WIDTH = 48;
+const DEFAULT_DOT_WIDTH = 576;
+
+function normalizeDocument(document) {
+  if (typeof document === 'string') {
+    document = JSON.parse(document);
+  }
+  if (Array.isArray(document)) {
+    return { blocks: document };
+  }
+  if (!document || !Array.isArray(document.blocks)) {
+    throw new Error('Document must be an array of blocks or an object with a blocks array');
+  }
+  return document;
+}
+
+function normalizeSize(size) {
+  if (!size) {
+    return { width: 1, height: 1 };
+  }
+  if (typeof size === 'number') {
+    return { width: size, height: size };
+  }
+  return { width: size.width || 1, height: size.height || 1 };
+}
+
+function formatPrice(price) {
+  if (price === undefined || price === null || price === '') {
+    return '';
+  }
+  return typeof price === 'number' ? price.toFixed(2) : String(price);
+}
+
+function renderText(block, encoder, width) {
+  const size = normalizeSize(block.size);
+  const lines = String(block.text === undefined ? '' : block.text).split('\n');
+  // Çift genişlikte her karakter iki sütun kaplar
+  const columns = Math.floor(width / size.width);
+
+  encoder.align(block.align || 'left');
+  if (block.bold) encoder.bold(true);
+  if (block.underline) encoder.underline(block.underline);
+  if (size.width > 1 || size.height > 1) encoder.size(size.width, size.height);
+
+  lines.forEach(line => wrapText(line, columns).forEach(wrapped => encoder.line(wrapped)));
+
+  if (size.width > 1 || size.height > 1) encoder.size(1, 1);
+  if (block.underline) encoder.underline(0);
+  if (block.bold) encoder.bold(false);
+  if (block.align && block.align !== 'left') encoder.align('left');
+}
+
+function renderItem(block, encoder, width, columns = {}) {
+  const size = normalizeSize(block.size);
+  const scaled = size.width > 1 || size.height > 1;
+  const item = { qty: block.qty, name: block.name, price: formatPrice(block.price) };
+
+  if (block.bold) encoder.bold(true);
+  if (scaled) encoder.size(size.width, size.height);
+  formatItemLines(item, Math.floor(width / size.width), columns).forEach(line => encoder.line(line));
+  if (scaled) encoder.size(1, 1);
+  if (block.bold) encoder.bold(false);
+
+  const notes = [].concat(block.notes || block.note || []);
+  notes.forEach(note => {
+    wrapText(String(note), width - 5).forEach((line, index) => encoder.line(`${index === 0 ? '   - ' : '     '}${line}`));
+  });
+}
+
+// Bir liste içindeki tüm satırlar aynı adet/fiyat sütun genişliğini kullanır
+function itemColumns(items) {
+  let qtyWidth = 0;
+  let priceWidth = 0;
+  for (const item of items) {
+    if (item.qty !== undefined && item.qty !== null && item.qty !== '') {
+      qtyWidth = Math.max(qtyWidth, textLength(`${item.qty}x`) + 1);
+    }
+    priceWidth = Math.max(priceWidth, textLength(formatPrice(item.price)));
+  }
+  return { qtyWidth, priceWidth };
+}
+
+function renderImage(block, encoder, options) {
+  let buffer;
+  if (block.data) {
+    buffer = decodeBase64Image(block.data);
+  } else if (block.image && options.loadImage) {
+    buffer = options.loadImage(block.image);
+  } else {
+    throw new Error('Image block needs an "image" id or base64 "data"');
+  }
+
+  const bitmap = imageToBitmap(buffer, {
+    maxWidth: options.dotWidth || DEFAULT_DOT_WIDTH,
+    width: block.width,
+    dither: block.dither,
+    threshold: block.threshold
+  });
+
+  encoder.align(block.align || 'center');
+  encoder.image(bitmap, { mode: block.mode });
+  encoder.align('left');
+}
+
+function renderDocument(document, encoder, options = {}) {
+  const doc = normalizeDocument(document);
+  const width = options.width || DEFAULT_WIDTH;
+
+  encoder.initialize();
+
+  for (const block of doc.blocks) {
+    switch (block.type) {
+      case 'text':
+        renderText(block, encoder, width);
+        break;
+
+      case 'separator':
+        encoder.line((block.char || '-').repeat(width).slice(0, width));
+        break;
+
+      case 'item':
+        renderItem(block, encoder, width);
+        break;
+
+      case 'items': {
+        const items = block.items || [];
+        const columns = itemColumns(items);
+        items.forEach(item => renderItem({ ...item, bold: item.bold || block.bold }, encoder, width, columns));
+        break;
+      }
+
+      case 'qr':
+        encoder.align(block.align || 'center');
+        encoder.qrcode(block.data, { size: block.size, errorLevel: block.errorLevel });
+        encoder.newline();
+        encoder.align('left');
+        break;
+
+      case 'barcode':
+        encoder.align(block.align || 'center');
+        encoder.barcode(block.data, {
+          symbology: block.symbology,
+          height: block.height,
+          width: block.width,
+          hri: block.hri
+        });
+        encoder.newline();
+        encoder.align('left');
+        break;
+
+      case 'image':
+        renderImage(block, encoder, options);
+        break;
+
+      case 'feed':
+        encoder.feed(block.lines || 1);
+        break;
+
+      case 'drawer':
+        encoder.pulse({ pin: block.pin, onMs: block.onMs, offMs: block.offMs });
+        break;
+
+      case 'beep':
+        encoder.beep({ times: block.times, duration: block.duration });
+        break;
+
+      case 'cut':
+        encoder.cut(Boolean(block.partial));
+        break;
+
+      default:
+        throw new Error(`Unknown document block type: ${block.type}`);
+    }
+  }
+
+  if (doc.cut !== false && !doc.blocks.some(block => block.type === 'cut')) {
+    encoder.cut();
+  }
+
+  return encoder.encode();
+}
+
+module.exports = { renderDocument, normalizeDocument, formatPrice };
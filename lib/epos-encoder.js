@@ -0,0 +1,237 @@
+const { normalizeHri } = require('./barcode-options');
+
+const EPOS_NAMESPACE = 'http://www.epson-pos.com/schemas/2011/03/epos-print';
+
+const BARCODE_TYPES = {
+  UPCA: 'upc_a',
+  UPCE: 'upc_e',
+  EAN13: 'ean13',
+  EAN8: 'ean8',
+  CODE39: 'code39',
+  ITF: 'itf',
+  CODABAR: 'codabar',
+  CODE93: 'code93',
+  CODE128: 'code128'
+};
+
+// ASB durum bitleri (ePOS-Print yanıtındaki status özniteliği)
+const STATUS_BITS = {
+  noResponse: 0x00000001,
+  printSuccess: 0x00000002,
+  drawerKick: 0x00000004,
+  offline: 0x00000008,
+  coverOpen: 0x00000020,
+  paperFeed: 0x00000040,
+  waitOnline: 0x00000100,
+  panelSwitch: 0x00000200,
+  mechanicalError: 0x00000400,
+  cutterError: 0x00000800,
+  unrecoverableError: 0x00002000,
+  autoRecoverableError: 0x00004000,
+  paperNearEnd: 0x00020000,
+  paperOut: 0x00080000,
+  buzzer: 0x01000000,
+  spoolerStopped: 0x80000000
+};
+
+const ERROR_CODES = {
+  EPTR_AUTOMATICAL: 'an automatically recoverable error occurred',
+  EPTR_COVER_OPEN: 'the printer cover is open',
+  EPTR_CUTTER: 'the autocutter failed',
+  EPTR_MECHANICAL: 'a mechanical error occurred',
+  EPTR_REC_EMPTY: 'the receipt paper ran out',
+  EPTR_UNRECOVERABLE: 'an unrecoverable error occurred',
+  SchemaError: 'the request XML was rejected',
+  DeviceNotFound: 'the device id was not found',
+  PrintSystemError: 'the printer system failed',
+  EX_BADPORT: 'the printer port could not be opened',
+  EX_TIMEOUT: 'the printer did not answer in time',
+  EX_SPOOLER: 'the print spooler is stopped',
+  EX_BUFFER_OVERFLOW: 'the print data is too large'
+};
+
+// Yazıcı durumundan kaynaklanan hatalar yedek yazıcıya yönlendirilebilir
+const PRINTER_STATE_CODES = new Set([
+  'EPTR_AUTOMATICAL', 'EPTR_COVER_OPEN', 'EPTR_CUTTER', 'EPTR_MECHANICAL', 'EPTR_REC_EMPTY',
+  'EPTR_UNRECOVERABLE', 'DeviceNotFound', 'EX_BADPORT', 'EX_TIMEOUT', 'EX_SPOOLER'
+]);
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+  })[char]).replace(/\n/g, '&#10;');
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// EscPosEncoder ile aynı arayüz; baytlar yerine ePOS-Print XML öğeleri üretir
+class EposEncoder {
+  constructor() {
+    this.elements = [];
+  }
+
+  element(name, attrs = {}, content) {
+    const open = `<${name}${attributes(attrs)}`;
+    this.elements.push(content === undefined ? `${open}/>` : `${open}>${content}</${name}>`);
+    return this;
+  }
+
+  raw(bytes) {
+    return this.element('command', {}, Buffer.from(bytes).toString('hex'));
+  }
+
+  initialize() {
+    return this;
+  }
+
+  align(alignment) {
+    return this.element('text', { align: ['left', 'center', 'right'].includes(alignment) ? alignment : 'left' });
+  }
+
+  bold(enabled) {
+    return this.element('text', { em: Boolean(enabled) });
+  }
+
+  underline(mode) {
+    return this.element('text', { ul: Boolean(mode) });
+  }
+
+  size(width = 1, height = 1) {
+    return this.element('text', {
+      width: Math.max(1, Math.min(8, width)),
+      height: Math.max(1, Math.min(8, height))
+    });
+  }
+
+  font(name) {
+    return this.element('text', { font: String(name).toUpperCase() === 'B' ? 'font_b' : 'font_a' });
+  }
+
+  text(value) {
+    return this.element('text', {}, escapeXml(value));
+  }
+
+  newline() {
+    return this.element('feed');
+  }
+
+  line(value) {
+    return this.element('text', {}, `${escapeXml(value)}&#10;`);
+  }
+
+  feed(lines = 1) {
+    return this.element('feed', { line: Math.max(0, Math.min(255, lines)) });
+  }
+
+  cut() {
+    // ePOS-Print'te kısmi/tam kesim ayrımı yazıcı ayarına bağlıdır
+    return this.element('cut', { type: 'feed' });
+  }
+
+  pulse(options = {}) {
+    const time = Math.max(100, Math.min(500, Math.round((options.onMs || 100) / 100) * 100));
+    return this.element('pulse', { drawer: Number(options.pin) === 5 ? 'drawer_2' : 'drawer_1', time: `pulse_${time}` });
+  }
+
+  beep(options = {}) {
+    return this.element('sound', { pattern: 'pattern_a', repeat: Math.max(1, Math.min(9, options.times || 1)) });
+  }
+
+  qrcode(data, options = {}) {
+    const errorLevel = String(options.errorLevel || 'M').toLowerCase();
+    if (!['l', 'm', 'q', 'h'].includes(errorLevel)) {
+      throw new Error('QR error level must be one of: L, M, Q, H');
+    }
+    return this.element('symbol', {
+      type: 'qrcode_model_2',
+      level: `level_${errorLevel}`,
+      width: Math.max(1, Math.min(16, options.size || 6))
+    }, escapeXml(data));
+  }
+
+  barcode(data, options = {}) {
+    const symbology = String(options.symbology || 'CODE128').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!BARCODE_TYPES[symbology]) {
+      throw new Error(`Unsupported barcode symbology: ${options.symbology}`);
+    }
+    let content = String(data);
+    if (symbology === 'CODE128' && !content.startsWith('{')) {
+      content = `{B${content}`;
+    }
+    return this.element('barcode', {
+      type: BARCODE_TYPES[symbology],
+      hri: normalizeHri(options.hri),
+      width: Math.max(2, Math.min(6, options.width || 3)),
+      height: Math.max(1, Math.min(255, options.height || 80))
+    }, escapeXml(content));
+  }
+
+  image(bitmap) {
+    return this.element('image', {
+      width: bitmap.width,
+      height: bitmap.height,
+      color: 'color_1',
+      mode: 'mono'
+    }, Buffer.from(bitmap.data).toString('base64'));
+  }
+
+  encode() {
+    return `<epos-print xmlns="${EPOS_NAMESPACE}">${this.elements.join('')}</epos-print>`;
+  }
+}
+
+function buildEposEnvelope(body) {
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">' +
+    `<s:Body>${body}</s:Body></s:Envelope>`;
+}
+
+function decodeEposStatus(status) {
+  const decoded = {};
+  for (const [name, bit] of Object.entries(STATUS_BITS)) {
+    decoded[name] = (status & bit) !== 0;
+  }
+  return decoded;
+}
+
+function parseEposResponse(xml) {
+  const match = String(xml).match(/<(?:\w+:)?response\b([^>]*)>/);
+  if (!match) {
+    throw new Error('Unexpected ePOS-Print response');
+  }
+
+  const attrs = {};
+  for (const [, key, value] of match[1].matchAll(/(\w+)="([^"]*)"/g)) {
+    attrs[key] = value;
+  }
+
+  const status = Number(attrs.status) || 0;
+  const flags = decodeEposStatus(status);
+  const problems = [
+    flags.offline && 'offline',
+    flags.coverOpen && 'cover open',
+    flags.paperOut && 'paper out',
+    flags.cutterError && 'cutter error',
+    flags.mechanicalError && 'mechanical error',
+    flags.unrecoverableError && 'unrecoverable error',
+    flags.autoRecoverableError && 'auto-recoverable error',
+    flags.spoolerStopped && 'spooler stopped'
+  ].filter(Boolean);
+
+  return {
+    success: attrs.success === 'true',
+    code: attrs.code || '',
+    description: ERROR_CODES[attrs.code] || attrs.code || '',
+    status,
+    flags,
+    problems,
+    printerStateError: PRINTER_STATE_CODES.has(attrs.code) || problems.length > 0
+  };
+}
+
+module.exports = { EposEncoder, buildEposEnvelope, parseEposResponse, decodeEposStatus };
@@ -0,0 +1,211 @@
+const CodePageEncoder = require('./codepage-encoder');
+const { createQrBitmap } = require('./qr-matrix');
+const { normalizeHri } = require('./barcode-options');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+const QR_ERROR_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+// GS k fonksiyon B sembolojileri
+const BARCODE_SYMBOLOGIES = {
+  UPCA: 65,
+  UPCE: 66,
+  EAN13: 67,
+  EAN8: 68,
+  CODE39: 69,
+  ITF: 70,
+  CODABAR: 71,
+  CODE93: 72,
+  CODE128: 73
+};
+
+class EscPosEncoder {
+  constructor(options = {}) {
+    this.chunks = [];
+    this.codePage = new CodePageEncoder(options);
+    this.nativeQr = options.nativeQr !== false;
+    this.imageMode = options.imageMode || 'raster';
+    this.bandHeight = options.bandHeight || 128;
+    this.fontName = options.font || 'A';
+    this.dotWidth = options.dotWidth;
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  initialize() {
+    this.raw([ESC, 0x40]);
+    this.raw([ESC, 0x52, 0x00]);
+    this.raw(this.codePage.reset());
+    if (this.fontName !== 'A') {
+      this.font(this.fontName);
+    }
+    return this;
+  }
+
+  font(name) {
+    return this.raw([ESC, 0x4D, String(name).toUpperCase() === 'B' ? 1 : 0]);
+  }
+
+  align(alignment) {
+    return this.raw([ESC, 0x61, ALIGNMENTS[alignment] || 0]);
+  }
+
+  bold(enabled) {
+    return this.raw([ESC, 0x45, enabled ? 1 : 0]);
+  }
+
+  underline(mode) {
+    return this.raw([ESC, 0x2D, mode === true ? 1 : (mode || 0)]);
+  }
+
+  size(width = 1, height = 1) {
+    const w = Math.max(1, Math.min(8, width)) - 1;
+    const h = Math.max(1, Math.min(8, height)) - 1;
+    return this.raw([GS, 0x21, (w << 4) | h]);
+  }
+
+  text(value) {
+    return this.raw(this.codePage.encode(value));
+  }
+
+  newline() {
+    return this.raw([0x0A]);
+  }
+
+  line(value) {
+    return this.text(value).newline();
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, Math.max(0, Math.min(255, lines))]);
+  }
+
+  cut(partial = false) {
+    // GS V 65/66 n: kesim konumuna kadar kağıt ilerletip keser
+    return this.raw([GS, 0x56, partial ? 66 : 65, 3]);
+  }
+
+  // ESC p m t1 t2: çekmece rölesi; süreler 2 ms birimindedir
+  pulse(options = {}) {
+    const pin = Number(options.pin) === 5 ? 1 : 0;
+    const on = Math.max(1, Math.min(255, Math.round((options.onMs || 100) / 2)));
+    const off = Math.max(1, Math.min(255, Math.round((options.offMs || 200) / 2)));
+    return this.raw([ESC, 0x70, pin, on, off]);
+  }
+
+  // ESC B n t: n kez, her biri t x 50 ms öten zil
+  beep(options = {}) {
+    const times = Math.max(1, Math.min(9, options.times || 1));
+    const duration = Math.max(1, Math.min(9, options.duration || 3));
+    return this.raw([ESC, 0x42, times, duration]);
+  }
+
+  qrcode(data, options = {}) {
+    const size = Math.max(1, Math.min(16, options.size || 6));
+    const errorLevel = String(options.errorLevel || 'M').toUpperCase();
+    if (QR_ERROR_LEVELS[errorLevel] === undefined) {
+      throw new Error(`QR error level must be one of: ${Object.keys(QR_ERROR_LEVELS).join(', ')}`);
+    }
+
+    if (!this.nativeQr) {
+      return this.image(createQrBitmap(data, { moduleSize: size, errorLevel, maxWidth: this.dotWidth }));
+    }
+
+    const bytes = Buffer.from(String(data), 'utf8');
+    const storeLength = bytes.length + 3;
+    this.raw([GS, 0x28, 0x6B, 4, 0, 0x31, 0x41, 0x32, 0x00]);
+    this.raw([GS, 0x28, 0x6B, 3, 0, 0x31, 0x43, size]);
+    this.raw([GS, 0x28, 0x6B, 3, 0, 0x31, 0x45, QR_ERROR_LEVELS[errorLevel]]);
+    this.raw([GS, 0x28, 0x6B, storeLength & 0xFF, storeLength >> 8, 0x31, 0x50, 0x30]);
+    this.raw(bytes);
+    this.raw([GS, 0x28, 0x6B, 3, 0, 0x31, 0x51, 0x30]);
+    return this;
+  }
+
+  barcode(data, options = {}) {
+    const symbology = String(options.symbology || 'CODE128').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (BARCODE_SYMBOLOGIES[symbology] === undefined) {
+      throw new Error(`Unsupported barcode symbology: ${options.symbology}`);
+    }
+
+    let content = String(data);
+    if (symbology === 'CODE128' && !content.startsWith('{')) {
+      content = `{B${content}`;
+    }
+    if (content.length > 255) {
+      throw new Error('Barcode data is too long');
+    }
+
+    this.raw([GS, 0x68, Math.max(1, Math.min(255, options.height || 80))]);
+    this.raw([GS, 0x77, Math.max(2, Math.min(6, options.width || 3))]);
+    this.raw([GS, 0x48, HRI_POSITIONS[normalizeHri(options.hri)]]);
+    this.raw([GS, 0x66, 0x00]);
+    this.raw([GS, 0x6B, BARCODE_SYMBOLOGIES[symbology], content.length]);
+    this.raw(Buffer.from(content, 'latin1'));
+    return this;
+  }
+
+  image(bitmap, options = {}) {
+    const mode = options.mode || this.imageMode;
+    if (mode === 'column') {
+      return this.columnImage(bitmap);
+    }
+    if (mode !== 'raster') {
+      throw new Error(`Unknown image mode: ${mode}`);
+    }
+
+    // Yazıcı tamponunu taşırmamak için görüntü yatay bantlar halinde gönderilir
+    const bandHeight = options.bandHeight || this.bandHeight;
+    for (let top = 0; top < bitmap.height; top += bandHeight) {
+      const height = Math.min(bandHeight, bitmap.height - top);
+      this.raster({
+        bytesPerRow: bitmap.bytesPerRow,
+        height,
+        data: bitmap.data.subarray(top * bitmap.bytesPerRow, (top + height) * bitmap.bytesPerRow)
+      });
+    }
+    return this;
+  }
+
+  raster(bitmap) {
+    const { bytesPerRow, height } = bitmap;
+    this.raw([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, bytesPerRow >> 8, height & 0xFF, height >> 8]);
+    this.raw(bitmap.data);
+    return this;
+  }
+
+  columnImage(bitmap) {
+    const { width, height, bytesPerRow } = bitmap;
+    const isBlack = (x, y) => y < height && (bitmap.data[y * bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) !== 0;
+
+    // ESC * 33: 24 noktalık dikey şeritler, her sütun için 3 bayt
+    this.raw([ESC, 0x33, 24]);
+    for (let top = 0; top < height; top += 24) {
+      const band = Buffer.alloc(width * 3);
+      for (let x = 0; x < width; x++) {
+        for (let bit = 0; bit < 24; bit++) {
+          if (isBlack(x, top + bit)) {
+            band[x * 3 + (bit >> 3)] |= 0x80 >> (bit & 7);
+          }
+        }
+      }
+      this.raw([ESC, 0x2A, 33, width & 0xFF, width >> 8]);
+      this.raw(band);
+      this.newline();
+    }
+    this.raw([ESC, 0x32]);
+    return this;
+  }
+
+  encode() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = EscPosEncoder;
@@ -0,0 +1,297 @@
+const CodePageEncoder = require('./codepage-encoder');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const DLE = 0x10;
+const LF = 0x0A;
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+const QR_ERROR_LEVELS = { 48: 'L', 49: 'M', 50: 'Q', 51: 'H' };
+const HRI_POSITIONS = ['none', 'above', 'below', 'both'];
+const BARCODE_SYMBOLOGIES = {
+  65: 'UPCA', 66: 'UPCE', 67: 'EAN13', 68: 'EAN8', 69: 'CODE39', 70: 'ITF', 71: 'CODABAR', 72: 'CODE93', 73: 'CODE128'
+};
+
+// ESC/POS bayt akışını önizleme için satır, görüntü, barkod ve kesim öğelerine ayırır
+class EscPosInterpreter {
+  constructor(options = {}) {
+    this.codePage = new CodePageEncoder(options);
+    this.elements = [];
+    this.reset();
+  }
+
+  reset() {
+    this.state = { align: 'left', bold: false, underline: false, width: 1, height: 1, font: 'A' };
+    this.barcode = { height: 162, width: 3, hri: 'none' };
+    this.qr = { size: 3, errorLevel: 'M', data: '' };
+    this.codePage.current = this.codePage.defaultCodePage;
+    this.runs = [];
+    this.lineAlign = null;
+    this.afterGraphic = false;
+  }
+
+  style() {
+    const { bold, underline, width, height, font } = this.state;
+    return { bold, underline, width, height, font };
+  }
+
+  addText(char) {
+    const last = this.runs[this.runs.length - 1];
+    const style = this.style();
+    if (last && Object.keys(style).every(key => last[key] === style[key])) {
+      last.text += char;
+    } else {
+      this.runs.push({ ...style, text: char });
+    }
+    // Satırın hizası ilk karakter yazıldığında geçerli olan hizadır
+    if (this.lineAlign === null) {
+      this.lineAlign = this.state.align;
+    }
+  }
+
+  flushLine(force) {
+    if (this.runs.length > 0 || force) {
+      this.elements.push({
+        type: 'text',
+        align: this.lineAlign || this.state.align,
+        runs: this.runs,
+        height: this.runs.length > 0 ? Math.max(...this.runs.map(run => run.height)) : this.state.height,
+        font: this.state.font
+      });
+    }
+    this.runs = [];
+    this.lineAlign = null;
+  }
+
+  addGraphic(element) {
+    this.flushLine(false);
+    this.elements.push({ align: this.state.align, ...element });
+  }
+
+  interpret(buffer) {
+    const bytes = Buffer.from(buffer);
+    let i = 0;
+    const next = () => (i < bytes.length ? bytes[i++] : 0);
+    const take = (length) => {
+      const slice = bytes.subarray(i, i + length);
+      i += length;
+      return slice;
+    };
+
+    while (i < bytes.length) {
+      const byte = next();
+
+      if (byte === LF) {
+        if (this.afterGraphic && this.runs.length === 0) {
+          this.afterGraphic = false;
+        } else {
+          this.flushLine(true);
+        }
+        continue;
+      }
+      this.afterGraphic = false;
+
+      if (byte === ESC) {
+        this.interpretEsc(next, take);
+      } else if (byte === GS) {
+        this.interpretGs(next, take);
+      } else if (byte === DLE) {
+        // DLE EOT n / DLE DC4 ...: durum sorguları kağıda bir şey basmaz
+        const command = next();
+        if (command === 0x14) take(3); else next();
+      } else if (byte >= 0x20) {
+        this.addText(this.codePage.decode(byte));
+      }
+    }
+
+    this.flushLine(false);
+    return this.elements;
+  }
+
+  interpretEsc(next, take) {
+    const command = next();
+    switch (command) {
+      case 0x40: // ESC @
+        this.flushLine(false);
+        this.reset();
+        break;
+      case 0x45: // ESC E n
+        this.state.bold = (next() & 1) === 1;
+        break;
+      case 0x2D: // ESC - n
+        this.state.underline = (next() & 3) > 0;
+        break;
+      case 0x61: { // ESC a n
+        const value = next();
+        this.state.align = ALIGNMENTS[value >= 48 ? value - 48 : value] || 'left';
+        break;
+      }
+      case 0x4D: // ESC M n
+        this.state.font = (next() & 1) === 1 ? 'B' : 'A';
+        break;
+      case 0x21: { // ESC ! n
+        const mode = next();
+        this.state.font = mode & 0x01 ? 'B' : 'A';
+        this.state.bold = Boolean(mode & 0x08);
+        this.state.height = mode & 0x10 ? 2 : 1;
+        this.state.width = mode & 0x20 ? 2 : 1;
+        this.state.underline = Boolean(mode & 0x80);
+        break;
+      }
+      case 0x74: { // ESC t n
+        const codePage = this.codePage.codePageForId(next());
+        if (codePage) {
+          this.codePage.current = codePage;
+        }
+        break;
+      }
+      case 0x64: { // ESC d n
+        this.flushLine(false);
+        const lines = next();
+        for (let line = 0; line < lines; line++) {
+          this.flushLine(true);
+        }
+        break;
+      }
+      case 0x4A: // ESC J n
+        this.flushLine(false);
+        this.elements.push({ type: 'space', dots: next() });
+        break;
+      case 0x2A: { // ESC * m nL nH
+        const mode = next();
+        const width = next() | (next() << 8);
+        const rows = mode >= 32 ? 24 : 8;
+        this.addGraphic({ type: 'image', bitmap: columnBandToBitmap(take(width * rows / 8), width, rows) });
+        this.afterGraphic = true;
+        break;
+      }
+      case 0x70: // ESC p m t1 t2
+        take(3);
+        break;
+      case 0x42: // ESC B n t
+        take(2);
+        break;
+      case 0x33: // ESC 3 n
+      case 0x52: // ESC R n
+      case 0x20: // ESC SP n
+      case 0x47: // ESC G n
+      case 0x56: // ESC V n
+      case 0x7B: // ESC { n
+        next();
+        break;
+      default:
+        break;
+    }
+  }
+
+  interpretGs(next, take) {
+    const command = next();
+    switch (command) {
+      case 0x21: { // GS ! n
+        const size = next();
+        this.state.width = ((size >> 4) & 0x07) + 1;
+        this.state.height = (size & 0x07) + 1;
+        break;
+      }
+      case 0x56: { // GS V m [n]
+        const mode = next();
+        if (mode >= 65) next();
+        this.flushLine(false);
+        this.elements.push({ type: 'cut', partial: mode === 1 || mode === 49 || mode === 66 });
+        break;
+      }
+      case 0x76: { // GS v 0 m xL xH yL yH
+        next();
+        next();
+        const bytesPerRow = next() | (next() << 8);
+        const height = next() | (next() << 8);
+        const data = Buffer.from(take(bytesPerRow * height));
+        this.addGraphic({ type: 'image', bitmap: { width: bytesPerRow * 8, height, bytesPerRow, data } });
+        break;
+      }
+      case 0x68: // GS h n
+        this.barcode.height = next();
+        break;
+      case 0x77: // GS w n
+        this.barcode.width = next();
+        break;
+      case 0x48: { // GS H n
+        const value = next();
+        this.barcode.hri = HRI_POSITIONS[value >= 48 ? value - 48 : value] || 'none';
+        break;
+      }
+      case 0x66: // GS f n
+      case 0x42: // GS B n
+        next();
+        break;
+      case 0x6B: // GS k m
+        this.interpretBarcode(next, take);
+        break;
+      case 0x28: { // GS ( k pL pH cn fn ...
+        const fn = next();
+        const length = next() | (next() << 8);
+        const params = take(length);
+        if (fn === 0x6B && params[0] === 0x31) {
+          this.interpretQr(params);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  interpretBarcode(next, take) {
+    const mode = next();
+    let data;
+    if (mode <= 6) {
+      // Fonksiyon A: NUL ile biten veri
+      const bytes = [];
+      for (let byte = next(); byte !== 0; byte = next()) bytes.push(byte);
+      data = Buffer.from(bytes);
+    } else {
+      data = take(next());
+    }
+
+    let content = data.toString('latin1');
+    const symbology = BARCODE_SYMBOLOGIES[mode] || BARCODE_SYMBOLOGIES[mode + 65] || 'UNKNOWN';
+    if (symbology === 'CODE128' && /^\{[ABC]/.test(content)) {
+      content = content.slice(2);
+    }
+    this.addGraphic({ type: 'barcode', symbology, data: content, ...this.barcode });
+  }
+
+  interpretQr(params) {
+    const fn = params[1];
+    if (fn === 0x43) {
+      this.qr.size = params[2];
+    } else if (fn === 0x45) {
+      this.qr.errorLevel = QR_ERROR_LEVELS[params[2]] || 'M';
+    } else if (fn === 0x50) {
+      this.qr.data = params.subarray(3).toString('utf8');
+    } else if (fn === 0x51) {
+      this.addGraphic({ type: 'qr', data: this.qr.data, size: this.qr.size, errorLevel: this.qr.errorLevel });
+    }
+  }
+}
+
+// ESC * sütun verisini (her sütun için dikey baytlar) satır tabanlı bit eşlemine çevirir
+function columnBandToBitmap(band, width, rows) {
+  const bytesPerColumn = rows / 8;
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * rows);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < rows; y++) {
+      if (band[x * bytesPerColumn + (y >> 3)] & (0x80 >> (y & 7))) {
+        data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return { width, height: rows, bytesPerRow, data };
+}
+
+function interpretEscPos(buffer, options = {}) {
+  return new EscPosInterpreter(options).interpret(buffer);
+}
+
+module.exports = { interpretEscPos, EscPosInterpreter };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+class IdempotencyStore {
+  constructor(options) {
+    this.storagePath = options.storagePath;
+    this.windowMs = options.windowMs || 10 * 60 * 1000;
+    this.records = new Map();
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+      for (const record of stored.records || []) {
+        this.records.set(record.key, record);
+      }
+      this.expire();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to restore idempotency keys:', error.message);
+      }
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+      const tempPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ records: Array.from(this.records.values()) }, null, 2));
+      fs.renameSync(tempPath, this.storagePath);
+    } catch (error) {
+      console.error('Failed to persist idempotency keys:', error.message);
+    }
+  }
+
+  expire() {
+    const cutoff = Date.now() - this.windowMs;
+    for (const [key, record] of this.records) {
+      if (record.createdAt < cutoff) {
+        this.records.delete(key);
+      }
+    }
+  }
+
+  get(key) {
+    const record = this.records.get(key);
+    if (!record) {
+      return null;
+    }
+    if (record.createdAt < Date.now() - this.windowMs) {
+      this.records.delete(key);
+      this.save();
+      return null;
+    }
+    return record;
+  }
+
+  remember(key, jobId) {
+    this.expire();
+    this.records.set(key, { key, jobId, createdAt: Date.now(), response: null });
+    this.save();
+  }
+
+  complete(key, response) {
+    const record = this.records.get(key);
+    if (!record) {
+      return;
+    }
+    record.response = response;
+    this.save();
+  }
+}
+
+module.exports = IdempotencyStore;
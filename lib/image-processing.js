@@ -0,0 +1,154 @@
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+function decodeBMP(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  const bottomUp = rawHeight > 0;
+
+  if (compression !== 0 && compression !== 3) {
+    throw new Error('Compressed BMP images are not supported');
+  }
+  if (![1, 4, 8, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+  }
+
+  const headerSize = buffer.readUInt32LE(14);
+  const paletteOffset = 14 + headerSize;
+  const rowSize = Math.ceil((bitsPerPixel * width) / 32) * 4;
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = dataOffset + (bottomUp ? height - 1 - y : y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      let r, g, b;
+      if (bitsPerPixel >= 24) {
+        const offset = rowStart + x * (bitsPerPixel / 8);
+        b = buffer[offset];
+        g = buffer[offset + 1];
+        r = buffer[offset + 2];
+      } else {
+        const bitOffset = x * bitsPerPixel;
+        const byte = buffer[rowStart + (bitOffset >> 3)];
+        const shift = 8 - bitsPerPixel - (bitOffset & 7);
+        const index = (byte >> shift) & ((1 << bitsPerPixel) - 1);
+        const entry = paletteOffset + index * 4;
+        b = buffer[entry];
+        g = buffer[entry + 1];
+        r = buffer[entry + 2];
+      }
+      const target = (y * width + x) * 4;
+      data[target] = r;
+      data[target + 1] = g;
+      data[target + 2] = b;
+      data[target + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function decodeImage(buffer) {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47) {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (buffer.length > 2 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: image.width, height: image.height, data: image.data };
+  }
+  if (buffer.length > 54 && buffer.toString('latin1', 0, 2) === 'BM') {
+    return decodeBMP(buffer);
+  }
+  throw new Error('Unsupported image format (expected PNG, JPEG or BMP)');
+}
+
+// Saydam pikseller beyaz kağıt üzerine bindirilerek gri tonlamaya çevrilir
+function toGrayscale(image) {
+  const gray = new Float32Array(image.width * image.height);
+  for (let i = 0; i < gray.length; i++) {
+    const r = image.data[i * 4];
+    const g = image.data[i * 4 + 1];
+    const b = image.data[i * 4 + 2];
+    const alpha = image.data[i * 4 + 3] / 255;
+    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+    gray[i] = luminance * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+}
+
+function resize(gray, width, height, targetWidth, targetHeight) {
+  if (width === targetWidth && height === targetHeight) {
+    return gray;
+  }
+
+  const resized = new Float32Array(targetWidth * targetHeight);
+  const scaleX = width / targetWidth;
+  const scaleY = height / targetHeight;
+
+  for (let y = 0; y < targetHeight; y++) {
+    const y0 = Math.floor(y * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < targetWidth; x++) {
+      const x0 = Math.floor(x * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+      let sum = 0;
+      let count = 0;
+      for (let sy = y0; sy < Math.min(y1, height); sy++) {
+        for (let sx = x0; sx < Math.min(x1, width); sx++) {
+          sum += gray[sy * width + sx];
+          count++;
+        }
+      }
+      resized[y * targetWidth + x] = count > 0 ? sum / count : 255;
+    }
+  }
+  return resized;
+}
+
+function toBitmap(image, options = {}) {
+  const maxWidth = options.maxWidth || 576;
+  const targetWidth = Math.max(1, Math.min(options.width || image.width, maxWidth));
+  const targetHeight = Math.max(1, Math.round(image.height * (targetWidth / image.width)));
+  const threshold = options.threshold || 128;
+  const dither = options.dither || 'floyd-steinberg';
+
+  const gray = resize(toGrayscale(image), image.width, image.height, targetWidth, targetHeight);
+  const bytesPerRow = Math.ceil(targetWidth / 8);
+  const data = Buffer.alloc(bytesPerRow * targetHeight);
+
+  for (let y = 0; y < targetHeight; y++) {
+    for (let x = 0; x < targetWidth; x++) {
+      const index = y * targetWidth + x;
+      const value = gray[index];
+      const black = value < threshold;
+      if (black) {
+        data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+
+      if (dither === 'floyd-steinberg') {
+        const error = value - (black ? 0 : 255);
+        if (x + 1 < targetWidth) gray[index + 1] += error * 7 / 16;
+        if (y + 1 < targetHeight) {
+          if (x > 0) gray[index + targetWidth - 1] += error * 3 / 16;
+          gray[index + targetWidth] += error * 5 / 16;
+          if (x + 1 < targetWidth) gray[index + targetWidth + 1] += error * 1 / 16;
+        }
+      } else if (dither !== 'threshold') {
+        throw new Error(`Unknown dither mode: ${dither}`);
+      }
+    }
+  }
+
+  return { width: targetWidth, height: targetHeight, bytesPerRow, data };
+}
+
+function imageToBitmap(buffer, options) {
+  return toBitmap(decodeImage(buffer), options);
+}
+
+module.exports = { decodeImage, toBitmap, imageToBitmap };
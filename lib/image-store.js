@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeImage } = require('./image-processing');
+
+const EXTENSIONS = { png: 'image/png', jpg: 'image/jpeg', bmp: 'image/bmp' };
+
+function detectExtension(buffer) {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504E47) return 'png';
+  if (buffer.length > 2 && buffer[0] === 0xFF && buffer[1] === 0xD8) return 'jpg';
+  if (buffer.length > 2 && buffer.toString('latin1', 0, 2) === 'BM') return 'bmp';
+  return null;
+}
+
+function decodeBase64Image(value) {
+  return Buffer.from(String(value).replace(/^data:[^;]+;base64,/, ''), 'base64');
+}
+
+class ImageStore {
+  constructor(options) {
+    this.directory = options.directory;
+  }
+
+  validateId(id) {
+    if (!id || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error('Image id may only contain letters, digits, "_" and "-"');
+    }
+  }
+
+  find(id) {
+    this.validateId(id);
+    for (const extension of Object.keys(EXTENSIONS)) {
+      const filePath = path.join(this.directory, `${id}.${extension}`);
+      if (fs.existsSync(filePath)) {
+        return { filePath, extension };
+      }
+    }
+    return null;
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(file => EXTENSIONS[path.extname(file).slice(1)])
+      .map(file => {
+        const stats = fs.statSync(path.join(this.directory, file));
+        const extension = path.extname(file).slice(1);
+        return {
+          id: path.basename(file, path.extname(file)),
+          contentType: EXTENSIONS[extension],
+          size: stats.size,
+          updatedAt: stats.mtime.toISOString()
+        };
+      });
+  }
+
+  load(id) {
+    const stored = this.find(id);
+    if (!stored) {
+      throw new Error(`Unknown image: ${id}`);
+    }
+    return fs.readFileSync(stored.filePath);
+  }
+
+  save(id, buffer) {
+    this.validateId(id);
+    const extension = detectExtension(buffer);
+    if (!extension) {
+      throw new Error('Unsupported image format (expected PNG, JPEG or BMP)');
+    }
+
+    const { width, height } = decodeImage(buffer);
+    this.remove(id);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(path.join(this.directory, `${id}.${extension}`), buffer);
+    return { id, contentType: EXTENSIONS[extension], size: buffer.length, width, height };
+  }
+
+  remove(id) {
+    const stored = this.find(id);
+    if (!stored) {
+      return false;
+    }
+    fs.unlinkSync(stored.filePath);
+    return true;
+  }
+
+  contentType(id) {
+    const stored = this.find(id);
+    return stored ? EXTENSIONS[stored.extension] : null;
+  }
+}
+
+module.exports = { ImageStore, decodeBase64Image };
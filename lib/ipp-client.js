@@ -0,0 +1,302 @@
+const http = require('http');
+const https = require('https');
+const { printerTlsOptions } = require('./printer-tls');
+const { onAbort } = require('./abort-signal');
+
+const OPERATIONS = {
+  'Print-Job': 0x0002,
+  'Get-Printer-Attributes': 0x000B
+};
+
+const GROUPS = {
+  operation: 0x01,
+  job: 0x02,
+  end: 0x03,
+  printer: 0x04,
+  unsupported: 0x05
+};
+const GROUP_NAMES = Object.fromEntries(Object.entries(GROUPS).map(([name, tag]) => [tag, name]));
+
+const TAGS = {
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  text: 0x41,
+  name: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  charset: 0x47,
+  naturalLanguage: 0x48,
+  mimeMediaType: 0x49
+};
+
+// RFC 8011 durum kodları
+const STATUS_CODES = {
+  0x0000: 'successful-ok',
+  0x0001: 'successful-ok-ignored-or-substituted-attributes',
+  0x0002: 'successful-ok-conflicting-attributes',
+  0x0400: 'client-error-bad-request',
+  0x0401: 'client-error-forbidden',
+  0x0402: 'client-error-not-authenticated',
+  0x0403: 'client-error-not-authorized',
+  0x0404: 'client-error-not-possible',
+  0x0405: 'client-error-timeout',
+  0x0406: 'client-error-not-found',
+  0x0407: 'client-error-gone',
+  0x0408: 'client-error-request-entity-too-large',
+  0x0409: 'client-error-request-value-too-long',
+  0x040A: 'client-error-document-format-not-supported',
+  0x040B: 'client-error-attributes-or-values-not-supported',
+  0x040C: 'client-error-uri-scheme-not-supported',
+  0x040D: 'client-error-charset-not-supported',
+  0x040E: 'client-error-conflicting-attributes',
+  0x040F: 'client-error-compression-not-supported',
+  0x0410: 'client-error-compression-error',
+  0x0411: 'client-error-document-format-error',
+  0x0412: 'client-error-document-access-error',
+  0x0500: 'server-error-internal-error',
+  0x0501: 'server-error-operation-not-supported',
+  0x0502: 'server-error-service-unavailable',
+  0x0503: 'server-error-version-not-supported',
+  0x0504: 'server-error-device-error',
+  0x0505: 'server-error-temporary-error',
+  0x0506: 'server-error-not-accepting-jobs',
+  0x0507: 'server-error-busy',
+  0x0508: 'server-error-job-canceled',
+  0x0509: 'server-error-multiple-document-jobs-not-supported'
+};
+
+// Yazıcının kendisinden kaynaklanan ve başka bir yazıcıda başarılı olabilecek hatalar
+const PRINTER_STATE_STATUSES = new Set([0x0502, 0x0504, 0x0505, 0x0506, 0x0507]);
+
+const PRINTER_STATES = { 3: 'idle', 4: 'processing', 5: 'stopped' };
+
+function statusName(code) {
+  return STATUS_CODES[code] || `0x${code.toString(16).padStart(4, '0')}`;
+}
+
+function encodeValue(tag, value) {
+  switch (tag) {
+    case TAGS.integer:
+    case TAGS.enum: {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(value);
+      return buffer;
+    }
+    case TAGS.boolean:
+      return Buffer.from([value ? 1 : 0]);
+    default:
+      return Buffer.from(String(value), 'utf8');
+  }
+}
+
+function encodeAttribute(tag, name, values) {
+  const parts = [];
+  [].concat(values).forEach((value, index) => {
+    // Çok değerli özniteliklerde ikinci ve sonraki değerlerin adı boş bırakılır
+    const nameBytes = Buffer.from(index === 0 ? name : '', 'utf8');
+    const valueBytes = encodeValue(tag, value);
+    const header = Buffer.alloc(1 + 2 + nameBytes.length + 2);
+    header.writeUInt8(tag, 0);
+    header.writeUInt16BE(nameBytes.length, 1);
+    nameBytes.copy(header, 3);
+    header.writeUInt16BE(valueBytes.length, 3 + nameBytes.length);
+    parts.push(header, valueBytes);
+  });
+  return Buffer.concat(parts);
+}
+
+// groups: { operation: [[tag, name, value], ...], job: [...] }
+function encodeRequest(operation, requestId, groups) {
+  const header = Buffer.alloc(8);
+  header.writeUInt8(2, 0);
+  header.writeUInt8(0, 1);
+  header.writeUInt16BE(OPERATIONS[operation], 2);
+  header.writeUInt32BE(requestId, 4);
+
+  const parts = [header];
+  for (const [group, attributes] of Object.entries(groups)) {
+    if (!attributes || attributes.length === 0) continue;
+    parts.push(Buffer.from([GROUPS[group]]));
+    attributes.forEach(([tag, name, value]) => parts.push(encodeAttribute(tag, name, value)));
+  }
+  parts.push(Buffer.from([GROUPS.end]));
+  return Buffer.concat(parts);
+}
+
+function decodeValue(tag, bytes) {
+  switch (tag) {
+    case TAGS.integer:
+    case TAGS.enum:
+      return bytes.length === 4 ? bytes.readInt32BE(0) : null;
+    case TAGS.boolean:
+      return bytes[0] === 1;
+    case 0x10: // unsupported
+    case 0x12: // unknown
+    case 0x13: // no-value
+      return null;
+    default:
+      // Koleksiyonlar, tarih ve çözünürlük değerleri burada gerekmez; metin olarak bırakılır
+      return tag >= 0x40 ? bytes.toString('utf8') : bytes;
+  }
+}
+
+function decodeResponse(buffer) {
+  if (buffer.length < 9) {
+    throw new Error('IPP response is too short');
+  }
+
+  const response = {
+    version: `${buffer[0]}.${buffer[1]}`,
+    statusCode: buffer.readUInt16BE(2),
+    requestId: buffer.readUInt32BE(4),
+    groups: {}
+  };
+  response.status = statusName(response.statusCode);
+
+  let offset = 8;
+  let group = null;
+  let lastName = null;
+  while (offset < buffer.length) {
+    const tag = buffer[offset++];
+    if (tag === GROUPS.end) {
+      break;
+    }
+    if (tag < 0x10) {
+      const groupName = GROUP_NAMES[tag] || `group-${tag}`;
+      group = response.groups[groupName] = response.groups[groupName] || {};
+      continue;
+    }
+
+    const nameLength = buffer.readUInt16BE(offset);
+    offset += 2;
+    const name = buffer.toString('utf8', offset, offset + nameLength);
+    offset += nameLength;
+    const valueLength = buffer.readUInt16BE(offset);
+    offset += 2;
+    const value = decodeValue(tag, buffer.subarray(offset, offset + valueLength));
+    offset += valueLength;
+
+    if (!group) continue;
+    if (name) {
+      lastName = name;
+      group[name] = value;
+    } else if (lastName) {
+      group[lastName] = [].concat(group[lastName], value);
+    }
+  }
+  return response;
+}
+
+class IppClient {
+  constructor(options) {
+    const secure = Boolean(options.secure);
+    const port = options.port || 631;
+    this.url = new URL(`${secure ? 'https' : 'http'}://${options.host}:${port}${options.path || '/ipp/print'}`);
+    this.printerUri = `${secure ? 'ipps' : 'ipp'}://${options.host}:${port}${this.url.pathname}`;
+    this.transport = secure ? https : http;
+    this.tlsOptions = printerTlsOptions(options);
+    this.timeout = options.timeout || 15000;
+    this.userName = options.userName || 'print-agent';
+    this.requestId = 0;
+  }
+
+  operationAttributes() {
+    return [
+      [TAGS.charset, 'attributes-charset', 'utf-8'],
+      [TAGS.naturalLanguage, 'attributes-natural-language', 'en'],
+      [TAGS.uri, 'printer-uri', this.printerUri],
+      [TAGS.name, 'requesting-user-name', this.userName]
+    ];
+  }
+
+  send(operation, groups, document, signal) {
+    const body = Buffer.concat([encodeRequest(operation, ++this.requestId, groups), document || Buffer.alloc(0)]);
+
+    return new Promise((resolve, reject) => {
+      const request = this.transport.request(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/ipp', 'Content-Length': body.length },
+        ...this.tlsOptions
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            const httpError = new Error(`IPP ${operation} failed: HTTP ${res.statusCode}`);
+            httpError.code = 'EIPP';
+            reject(httpError);
+            return;
+          }
+          try {
+            resolve(decodeResponse(Buffer.concat(chunks)));
+          } catch (error) {
+            error.code = 'EIPP';
+            reject(error);
+          }
+        });
+      });
+
+      request.setTimeout(this.timeout, () => {
+        const timeoutError = new Error(`IPP request to ${this.url.host} timed out`);
+        timeoutError.code = 'ETIMEDOUT';
+        request.destroy(timeoutError);
+      });
+      request.on('error', (error) => {
+        const ippError = new Error(`IPP ${operation} failed: ${error.message}`);
+        ippError.code = error.code;
+        reject(ippError);
+      });
+      onAbort(signal, error => request.destroy(error));
+      request.end(body);
+    });
+  }
+
+  checkStatus(operation, response) {
+    if (response.statusCode < 0x0400) {
+      return response;
+    }
+    const operationGroup = response.groups.operation || {};
+    const message = operationGroup['status-message'];
+    const ippError = new Error(`IPP ${operation} failed: ${response.status}${message ? ` (${message})` : ''}`);
+    ippError.code = PRINTER_STATE_STATUSES.has(response.statusCode) ? 'EPRINTERSTATUS' : 'EIPP';
+    ippError.ippStatus = response.status;
+    ippError.ippStatusCode = response.statusCode;
+    throw ippError;
+  }
+
+  async getPrinterAttributes(options = {}) {
+    const response = await this.send('Get-Printer-Attributes', {
+      operation: [
+        ...this.operationAttributes(),
+        [TAGS.keyword, 'requested-attributes', [
+          'printer-state', 'printer-state-reasons', 'printer-state-message',
+          'printer-is-accepting-jobs', 'document-format-supported', 'printer-make-and-model'
+        ]]
+      ]
+    }, null, options.signal);
+    const printer = this.checkStatus('Get-Printer-Attributes', response).groups.printer || {};
+    return {
+      state: PRINTER_STATES[printer['printer-state']] || 'unknown',
+      stateReasons: [].concat(printer['printer-state-reasons'] || []).filter(reason => reason && reason !== 'none'),
+      stateMessage: printer['printer-state-message'] || '',
+      acceptingJobs: printer['printer-is-accepting-jobs'] !== false,
+      documentFormats: [].concat(printer['document-format-supported'] || []).filter(Boolean),
+      makeAndModel: printer['printer-make-and-model'] || ''
+    };
+  }
+
+  async printJob(document, options = {}) {
+    const response = await this.send('Print-Job', {
+      operation: [
+        ...this.operationAttributes(),
+        [TAGS.name, 'job-name', options.jobName || 'Print job'],
+        [TAGS.mimeMediaType, 'document-format', options.documentFormat || 'application/octet-stream']
+      ]
+    }, document, options.signal);
+    const job = this.checkStatus('Print-Job', response).groups.job || {};
+    return { jobId: job['job-id'], jobState: job['job-state'], status: response.status };
+  }
+}
+
+module.exports = { IppClient, encodeRequest, decodeResponse, STATUS_CODES };
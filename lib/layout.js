@@ -0,0 +1,89 @@
+// Kağıt genişliği (mm) ve fonta göre satır başına karakter ve nokta genişliği
+const PAPER_PROFILES = {
+  58: { dotWidth: 384, charsPerLine: { A: 32, B: 42 } },
+  80: { dotWidth: 576, charsPerLine: { A: 48, B: 64 } }
+};
+
+function getPrinterLayout(printer = {}) {
+  const paperWidth = PAPER_PROFILES[printer.paperWidth] ? printer.paperWidth : 80;
+  const font = String(printer.font || 'A').toUpperCase() === 'B' ? 'B' : 'A';
+  const profile = PAPER_PROFILES[paperWidth];
+
+  return {
+    paperWidth,
+    font,
+    charsPerLine: printer.charsPerLine || profile.charsPerLine[font],
+    dotWidth: printer.dotWidth || profile.dotWidth
+  };
+}
+
+function textLength(text) {
+  return Array.from(text).length;
+}
+
+function wrapText(text, width) {
+  if (width < 1 || textLength(text) <= width) {
+    return [text];
+  }
+
+  const lines = [];
+  let current = '';
+  // Baştaki boşluklar ilk satırda korunur (elle ortalanmış başlıklar için)
+  const indent = text.match(/^\s*/)[0];
+  const words = text.slice(indent.length).split(/\s+/).filter(Boolean);
+  current = indent.length < width ? indent : '';
+
+  for (let word of words) {
+    const separator = current.trim() ? ' ' : '';
+    if (textLength(current) + separator.length + textLength(word) <= width) {
+      current += separator + word;
+      continue;
+    }
+
+    if (current.trim()) {
+      lines.push(current);
+      current = '';
+    }
+
+    // Satıra sığmayan uzun kelimeler bölünür
+    while (textLength(word) > width) {
+      const chars = Array.from(word);
+      lines.push(chars.slice(0, width).join(''));
+      word = chars.slice(width).join('');
+    }
+    current = word;
+  }
+
+  if (current.trim() || lines.length === 0) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+function padEnd(text, width) {
+  return text + ' '.repeat(Math.max(0, width - textLength(text)));
+}
+
+function padStart(text, width) {
+  return ' '.repeat(Math.max(0, width - textLength(text))) + text;
+}
+
+// Adet | ürün adı | fiyat sütunları; uzun ürün adları kendi sütununda alt satıra kayar
+function formatItemLines(item, width, options = {}) {
+  const qtyText = item.qty !== undefined && item.qty !== null && item.qty !== '' ? `${item.qty}x` : '';
+  const qtyWidth = Math.max(options.qtyWidth || 0, qtyText ? textLength(qtyText) + 1 : 0);
+  const priceText = item.price || '';
+  const priceWidth = priceText ? Math.max(options.priceWidth || 0, textLength(priceText)) + 1 : 0;
+  const nameWidth = Math.max(1, width - qtyWidth - priceWidth);
+
+  const nameLines = wrapText(String(item.name || ''), nameWidth);
+  return nameLines.map((name, index) => {
+    const qtyColumn = index === 0 ? padEnd(qtyText, qtyWidth) : ' '.repeat(qtyWidth);
+    if (index === 0 && priceText) {
+      return qtyColumn + padEnd(name, nameWidth) + padStart(priceText, priceWidth);
+    }
+    return (qtyColumn + name).replace(/\s+$/, '');
+  });
+}
+
+module.exports = { getPrinterLayout, wrapText, formatItemLines, textLength, padEnd, padStart };
@@ -0,0 +1,148 @@
+const net = require('net');
+const os = require('os');
+const { onAbort } = require('./abort-signal');
+
+// RFC 1179 onay baytları; 0 dışındaki her değer reddedilme anlamına gelir
+const ACK_MEANINGS = {
+  1: 'not accepted',
+  2: 'insufficient spool space'
+};
+
+let jobCounter = Math.floor(Math.random() * 1000);
+
+function nextJobNumber() {
+  jobCounter = (jobCounter + 1) % 1000;
+  return String(jobCounter).padStart(3, '0');
+}
+
+// Kontrol dosyası satırları: H ana makine, P kullanıcı, J iş adı, l ham dosya (kontrol karakterleri korunur), U sil, N ad
+function buildControlFile(options) {
+  const lines = [
+    `H${options.host}`,
+    `P${options.user}`,
+    `J${options.jobName}`,
+    `l${options.dataFileName}`,
+    `U${options.dataFileName}`,
+    `N${options.jobName}`
+  ];
+  return Buffer.from(`${lines.join('\n')}\n`, 'latin1');
+}
+
+function sendLprJob(options) {
+  const host = options.host;
+  const port = options.port || 515;
+  const queue = options.queue || 'lp';
+  const timeout = options.timeout || 10000;
+  const data = Buffer.isBuffer(options.data) ? options.data : Buffer.from(String(options.data), 'binary');
+
+  // Ana makine adı kontrol dosyasında 31 karakterle sınırlıdır
+  const clientHost = (options.clientHost || os.hostname()).replace(/[^A-Za-z0-9.-]/g, '').slice(0, 31) || 'agent';
+  const jobNumber = nextJobNumber();
+  const dataFileName = `dfA${jobNumber}${clientHost}`;
+  const controlFileName = `cfA${jobNumber}${clientHost}`;
+  const control = buildControlFile({
+    host: clientHost,
+    user: String(options.user || 'print-agent').slice(0, 31),
+    jobName: String(options.jobName || 'receipt').replace(/[\r\n]/g, ' ').slice(0, 99),
+    dataFileName
+  });
+
+  return new Promise((resolve, reject) => {
+    const socket = new net.Socket();
+    const pending = [];
+    let waiting = null;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) reject(error); else resolve(result);
+    };
+
+    const lprError = (message, code = 'ELPR') => {
+      const error = new Error(message);
+      error.code = code;
+      return error;
+    };
+
+    socket.on('data', (chunk) => {
+      pending.push(...chunk);
+      if (waiting && pending.length > 0) {
+        const next = waiting;
+        waiting = null;
+        next(pending.shift());
+      }
+    });
+
+    const readAck = () => new Promise((resolveAck) => {
+      if (pending.length > 0) {
+        resolveAck(pending.shift());
+      } else {
+        waiting = resolveAck;
+      }
+    });
+
+    const expectAck = async (step) => {
+      const ack = await readAck();
+      if (ack === 0) {
+        return;
+      }
+      const detail = ACK_MEANINGS[ack] ? `ack ${ack}: ${ACK_MEANINGS[ack]}` : `ack ${ack}`;
+      // Yer kalmaması geçicidir; iş bekletilir ya da yedek yazıcıya aktarılır
+      const error = step === 'queue'
+        ? lprError(`LPD server rejected queue "${queue}" (${detail}); the queue is unknown or not accepting jobs`)
+        : lprError(`LPD server rejected the ${step} (${detail})`, ack === 2 ? 'EPRINTERSTATUS' : 'ELPR');
+      error.lprAck = ack;
+      throw error;
+    };
+
+    const sendFile = async (type, name, contents, step) => {
+      socket.write(Buffer.from(`${String.fromCharCode(type)}${contents.length} ${name}\n`, 'latin1'));
+      await expectAck(`${step} header`);
+      socket.write(contents);
+      socket.write(Buffer.from([0]));
+      await expectAck(step);
+    };
+
+    socket.setTimeout(timeout, () => {
+      finish(lprError(`LPD server ${host}:${port} did not answer`, 'ETIMEDOUT'));
+    });
+
+    socket.on('error', (error) => {
+      const printError = new Error(`LPR print failed: ${error.message}`);
+      printError.code = error.code;
+      finish(printError);
+    });
+
+    socket.on('close', () => {
+      finish(lprError(`LPD server ${host}:${port} closed the connection`, 'ECONNRESET'));
+    });
+
+    onAbort(options.signal, finish);
+    if (settled) return;
+
+    socket.connect(port, host, async () => {
+      try {
+        // 02 kuyruk: "yazdırma işi al" komutu, ardından 02 kontrol ve 03 veri dosyası alt komutları
+        socket.write(Buffer.from(`\x02${queue}\n`, 'latin1'));
+        await expectAck('queue');
+        const files = [
+          () => sendFile(0x02, controlFileName, control, 'control file'),
+          () => sendFile(0x03, dataFileName, data, 'data file')
+        ];
+        if (options.dataFileFirst) {
+          files.reverse();
+        }
+        for (const send of files) {
+          await send();
+        }
+        finish(null, { jobNumber, queue, bytes: data.length });
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+}
+
+module.exports = { sendLprJob, buildControlFile };
@@ -0,0 +1,77 @@
+// CIDR aralıklarını genişletir ve bağlantı denemelerini sınırlı sayıda eşzamanlı işçiyle yürütür
+
+function ipToInt(ip) {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+function parseCidr(cidr) {
+  const [address, prefixText = '32'] = String(cidr).trim().split('/');
+  const base = ipToInt(address);
+  const prefix = Number(prefixText);
+  if (base === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    throw new Error(`Invalid CIDR range: ${cidr}`);
+  }
+
+  const size = 2 ** (32 - prefix);
+  const network = Math.floor(base / size) * size;
+  // /31 ve /32 dışında ağ ve yayın adresleri taranmaz
+  const first = prefix >= 31 ? network : network + 1;
+  const last = prefix >= 31 ? network + size - 1 : network + size - 2;
+  return { network, prefix, first, last, count: last - first + 1 };
+}
+
+function* cidrHosts(cidr) {
+  const { first, last } = parseCidr(cidr);
+  for (let value = first; value <= last; value++) {
+    yield intToIp(value);
+  }
+}
+
+// Aynı yineleyiciyi paylaşan concurrency adet işçi; her biri bir öğe bitince sıradakini alır
+async function runPool(items, concurrency, worker) {
+  const iterator = items[Symbol.iterator]();
+  const next = async () => {
+    for (let step = iterator.next(); !step.done; step = iterator.next()) {
+      await worker(step.value);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, next));
+}
+
+async function scanTargets(targets, options) {
+  const { probe, total, onProgress } = options;
+  const progressInterval = options.progressInterval || 500;
+  const found = [];
+  let scanned = 0;
+  let lastReport = 0;
+
+  await runPool(targets, options.concurrency || 64, async (target) => {
+    let result = null;
+    try {
+      result = await probe(target.host, target.port);
+    } catch (error) {
+      result = null;
+    }
+    scanned++;
+    if (result) {
+      found.push(result);
+    }
+
+    if (onProgress && (scanned === total || Date.now() - lastReport >= progressInterval)) {
+      lastReport = Date.now();
+      onProgress({ scanned, total, found: found.length });
+    }
+  });
+
+  return found;
+}
+
+module.exports = { parseCidr, cidrHosts, runPool, scanTargets };
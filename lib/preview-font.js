@@ -0,0 +1,66 @@
+// Önizleme için 5x7 nokta vuruşlu yazı tipi, 0x20-0x7E; her karakter 5 sütun, bit 0 en üst satır
+const ASCII_GLYPHS = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649562050', '0005030000',
+  '001c224100', '0041221c00', '14083e0814', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+  '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0008142241', '1414141414', '4122140800', '0201510906',
+  '324979413e', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090901', '3e4149497a',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f020c027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '3f4038403f',
+  '6314081463', '0708700807', '6151494543', '007f414100', '0204081020', '0041417f00', '0402010204', '4040404040',
+  '0001020400', '2054545478', '7f48444438', '3844444420', '384444487f', '3854545418', '087e090102', '0c5252523e',
+  '7f08040478', '00447d4000', '2040443d00', '7f10284400', '00417f4000', '7c04180478', '7c08040478', '3844444438',
+  '7c14141408', '081414187c', '7c08040408', '4854545420', '043f444020', '3c4040207c', '1c2040201c', '3c4030403c',
+  '4428102844', '0c5050503c', '4464544c44', '0008364100', '00007f0000', '0041360800', '1008081008'
+].map(hex => Buffer.from(hex, 'hex'));
+
+// ASCII dışı taban karakterler
+const EXTRA_GLYPHS = {
+  'ı': Buffer.from('00447c4000', 'hex'),
+  'ß': Buffer.from('7e01494936', 'hex'),
+  '€': Buffer.from('143e555541', 'hex'),
+  '₺': Buffer.from('147f544420', 'hex'),
+  '£': Buffer.from('487e494122', 'hex'),
+  '°': Buffer.from('0006090600', 'hex')
+};
+
+const UNKNOWN_GLYPH = Buffer.from('7f4141417f', 'hex');
+
+// Birleşik işaretler: [sütun, satır] çiftleri; satır 0 harfin üstü, satır 8 altı
+const MARKS = {
+  '\u0300': [[1, 0]],
+  '\u0301': [[3, 0]],
+  '\u0302': [[1, 0], [3, 0]],
+  '\u0303': [[1, 0], [2, 0], [3, 0]],
+  '\u0306': [[1, 0], [2, 0], [3, 0]],
+  '\u0307': [[2, 0]],
+  '\u0308': [[1, 0], [3, 0]],
+  '\u030A': [[2, 0]],
+  '\u0327': [[2, 8]],
+  '\u0328': [[3, 8]]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 9;
+
+// Karakteri 5x9'luk nokta listesine çevirir
+function glyphPixels(char) {
+  const [base, ...marks] = Array.from(EXTRA_GLYPHS[char] ? char : char.normalize('NFD'));
+  const code = base.charCodeAt(0);
+  const columns = EXTRA_GLYPHS[base] || (code >= 0x20 && code <= 0x7E ? ASCII_GLYPHS[code - 0x20] : UNKNOWN_GLYPH);
+
+  const pixels = [];
+  columns.forEach((bits, x) => {
+    for (let y = 0; y < 7; y++) {
+      if (bits & (1 << y)) {
+        pixels.push([x, y + 1]);
+      }
+    }
+  });
+  for (const mark of marks) {
+    pixels.push(...(MARKS[mark] || []));
+  }
+  return pixels;
+}
+
+module.exports = { glyphPixels, GLYPH_WIDTH, GLYPH_HEIGHT };
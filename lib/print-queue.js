@@ -0,0 +1,425 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const TERMINAL_STATUSES = ['completed', 'dead', 'cancelled'];
+
+class PrintQueue extends EventEmitter {
+  constructor(options) {
+    super();
+    this.storagePath = options.storagePath;
+    this.processor = options.processor;
+    this.retryDelay = options.retryDelay || 2000;
+    this.backoffFactor = options.backoffFactor || 2;
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.historyLimit = options.historyLimit || 200;
+    this.deadLetterLimit = options.deadLetterLimit || 100;
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.attemptTimeout = options.attemptTimeout || 120000;
+
+    this.jobs = new Map();
+    this.waiters = new Map();
+    this.activeLanes = new Set();
+    this.laneFinishedAt = new Map();
+    this.timer = null;
+    this.running = false;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+      for (const job of stored.jobs || []) {
+        // Agent durdurulduğunda yazdırılmakta olan iş tekrar kuyruğa alınır
+        if (job.status === 'printing') {
+          job.status = 'queued';
+          job.nextAttemptAt = null;
+        }
+        job.lane = job.lane || 'default';
+        this.jobs.set(job.id, job);
+      }
+      console.log(`Print queue restored: ${this.getPending().length} pending, ${this.getScheduled().length} scheduled job(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to restore print queue:', error.message);
+      }
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+      const tempPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ jobs: Array.from(this.jobs.values()) }, null, 2));
+      fs.renameSync(tempPath, this.storagePath);
+    } catch (error) {
+      console.error('Failed to persist print queue:', error.message);
+    }
+  }
+
+  add(spec) {
+    const now = new Date().toISOString();
+    const scheduled = Boolean(spec.runAt && spec.runAt > Date.now());
+    const job = {
+      id: crypto.randomUUID(),
+      status: scheduled ? 'scheduled' : 'queued',
+      data: spec.data,
+      printer: spec.printer || null,
+      protocol: spec.protocol,
+      format: spec.format,
+      template: spec.template || null,
+      lane: spec.lane || 'default',
+      throttleMs: spec.throttleMs || 0,
+      attempts: 0,
+      maxRetries: spec.maxRetries,
+      command: Boolean(spec.command),
+      openDrawer: spec.openDrawer || null,
+      reprintOf: spec.reprintOf || null,
+      idempotencyKey: spec.idempotencyKey || null,
+      runAt: scheduled ? spec.runAt : null,
+      createdAt: now,
+      queuedAt: scheduled ? null : now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      nextAttemptAt: null,
+      lastError: null,
+      result: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.save();
+    this.pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list(filter = {}) {
+    let jobs = Array.from(this.jobs.values()).reverse();
+    if (filter.status) {
+      const statuses = filter.status.split(',');
+      jobs = jobs.filter(job => statuses.includes(job.status));
+    }
+    if (filter.limit) {
+      jobs = jobs.slice(0, filter.limit);
+    }
+    return jobs;
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'queued' && job.status !== 'scheduled') {
+      throw new Error(`Job cannot be cancelled while ${job.status}`);
+    }
+
+    job.status = 'cancelled';
+    job.nextAttemptAt = null;
+    job.updatedAt = new Date().toISOString();
+    job.completedAt = job.updatedAt;
+    this.prune();
+    this.save();
+    this.notify(job);
+    this.pump();
+    return job;
+  }
+
+  reprint(id) {
+    const original = this.jobs.get(id);
+    if (!original) {
+      return null;
+    }
+
+    const routing = original.origin || original;
+    return this.add({
+      data: original.data,
+      printer: routing.printer,
+      protocol: routing.protocol,
+      format: original.format,
+      template: original.template,
+      maxRetries: original.maxRetries,
+      command: original.command,
+      lane: routing.lane,
+      throttleMs: routing.throttleMs,
+      reprintOf: original.id
+    });
+  }
+
+  getPending() {
+    return Array.from(this.jobs.values()).filter(job => job.status === 'queued' || job.status === 'printing');
+  }
+
+  getScheduled() {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === 'scheduled')
+      .sort((a, b) => a.runAt - b.runAt);
+  }
+
+  fireNow(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'scheduled') {
+      return null;
+    }
+
+    this.release(job);
+    this.save();
+    this.pump();
+    return job;
+  }
+
+  release(job) {
+    job.status = 'queued';
+    job.queuedAt = new Date().toISOString();
+    job.updatedAt = job.queuedAt;
+  }
+
+  getDeadLetter() {
+    return Array.from(this.jobs.values()).filter(job => job.status === 'dead');
+  }
+
+  retryDeadLetter(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'dead') {
+      return null;
+    }
+
+    job.status = 'queued';
+    job.attempts = 0;
+    job.nextAttemptAt = null;
+    job.completedAt = null;
+    job.updatedAt = new Date().toISOString();
+    this.save();
+    this.pump();
+    return job;
+  }
+
+  removeDeadLetter(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'dead') {
+      return false;
+    }
+
+    this.jobs.delete(id);
+    this.save();
+    this.emit('removed', job);
+    return true;
+  }
+
+  waitFor(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return Promise.reject(new Error(`Unknown print job: ${id}`));
+    }
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise((resolve) => {
+      if (!this.waiters.has(id)) {
+        this.waiters.set(id, []);
+      }
+      this.waiters.get(id).push(resolve);
+    });
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.pump();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getLanes() {
+    const lanes = {};
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'queued' && job.status !== 'printing') {
+        continue;
+      }
+      const lane = lanes[job.lane] || (lanes[job.lane] = { lane: job.lane, active: null, queued: 0 });
+      if (job.status === 'printing') {
+        lane.active = job.id;
+      } else {
+        lane.queued++;
+      }
+    }
+    return Object.values(lanes);
+  }
+
+  pump() {
+    if (!this.running) {
+      return;
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+    let released = false;
+    for (const job of this.getScheduled()) {
+      if (job.runAt <= now) {
+        console.log(`Scheduled print job ${job.id} is due`);
+        this.release(job);
+        released = true;
+      } else {
+        wakeAt = Math.min(wakeAt, job.runAt);
+      }
+    }
+    if (released) {
+      this.save();
+    }
+
+    // Her yazıcının kendi sırası var; sıranın başındaki iş bitmeden arkadakiler başlamaz
+    const heads = new Map();
+    Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => (a.queuedAt || a.createdAt).localeCompare(b.queuedAt || b.createdAt))
+      .forEach(job => {
+        if (!heads.has(job.lane)) {
+          heads.set(job.lane, job);
+        }
+      });
+
+    for (const [lane, job] of heads) {
+      if (this.activeLanes.has(lane)) {
+        continue;
+      }
+      if (this.activeLanes.size >= this.maxConcurrent) {
+        break;
+      }
+
+      const throttledUntil = (this.laneFinishedAt.get(lane) || 0) + (job.throttleMs || 0);
+      const readyAt = Math.max(job.nextAttemptAt || 0, throttledUntil);
+      if (readyAt <= now) {
+        this.run(job);
+      } else {
+        wakeAt = Math.min(wakeAt, readyAt);
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      // setTimeout 2^31-1 ms üzerindeki gecikmelerde hemen tetiklenir
+      this.timer = setTimeout(() => this.pump(), Math.min(wakeAt - now, 2147483647));
+    }
+  }
+
+  async run(job) {
+    // Yönlendirme job.lane'i değiştirir; kilit işin başladığı sıradan kaldırılmalı
+    const lane = job.lane;
+    this.activeLanes.add(lane);
+    job.status = 'printing';
+    job.attempts++;
+    job.updatedAt = new Date().toISOString();
+    job.startedAt = job.startedAt || job.updatedAt;
+    this.save();
+
+    // Süre dolunca deneme iptal edilir; sıra, aktarım gerçekten durana kadar kilitli kalır
+    // ki aynı yazıcıya ikinci bir bağlantı açılıp fiş iki kez basılmasın
+    const controller = new AbortController();
+    const watchdog = setTimeout(() => {
+      const timeoutError = new Error(`Print attempt timed out after ${this.attemptTimeout} ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      controller.abort(timeoutError);
+    }, this.attemptTimeout);
+
+    try {
+      job.result = await this.processor(job, controller.signal);
+      job.status = 'completed';
+      job.lastError = null;
+      job.nextAttemptAt = null;
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (error.reroute) {
+        this.reroute(job, error.reroute);
+      } else if (error.retryable === false || job.attempts > job.maxRetries) {
+        job.status = 'dead';
+        job.nextAttemptAt = null;
+        console.error(`Print job ${job.id} moved to dead-letter after ${job.attempts} attempt(s): ${error.message}`);
+      } else {
+        const delay = Math.min(
+          this.retryDelay * Math.pow(this.backoffFactor, job.attempts - 1),
+          this.maxRetryDelay
+        );
+        job.status = 'queued';
+        job.nextAttemptAt = Date.now() + delay;
+        console.warn(`Print job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay}ms: ${error.message}`);
+      }
+    } finally {
+      clearTimeout(watchdog);
+    }
+
+    job.updatedAt = new Date().toISOString();
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      job.completedAt = job.updatedAt;
+    }
+    this.activeLanes.delete(lane);
+    this.laneFinishedAt.set(lane, Date.now());
+    this.prune();
+    this.save();
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      this.notify(job);
+    }
+    this.pump();
+  }
+
+  reroute(job, target) {
+    if (!job.origin) {
+      job.origin = {
+        printer: job.printer,
+        protocol: job.protocol,
+        lane: job.lane,
+        throttleMs: job.throttleMs
+      };
+    }
+
+    console.warn(`Print job ${job.id} rerouted from ${job.lane} to ${target.lane}: ${job.lastError}`);
+    job.printer = target.printer;
+    job.protocol = target.protocol || job.protocol;
+    job.lane = target.lane;
+    job.throttleMs = target.throttleMs || 0;
+    job.status = 'queued';
+    job.nextAttemptAt = null;
+  }
+
+  notify(job) {
+    const waiters = this.waiters.get(job.id) || [];
+    this.waiters.delete(job.id);
+    waiters.forEach(resolve => resolve(job));
+    this.emit('settled', job);
+  }
+
+  prune() {
+    const jobs = Array.from(this.jobs.values());
+    const completed = jobs.filter(job => job.status === 'completed' || job.status === 'cancelled');
+    const dead = jobs.filter(job => job.status === 'dead');
+
+    const removed = [
+      ...completed.slice(0, Math.max(0, completed.length - this.historyLimit)),
+      ...dead.slice(0, Math.max(0, dead.length - this.deadLetterLimit))
+    ];
+    removed.forEach(job => this.jobs.delete(job.id));
+    removed.forEach(job => this.emit('removed', job));
+  }
+}
+
+module.exports = PrintQueue;
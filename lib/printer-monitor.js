@@ -0,0 +1,110 @@
+const EventEmitter = require('events');
+
+// Kayıtlı yazıcıları düzenli aralıklarla yoklar; durum değişikliklerinde olay yayar:
+// printer_online, printer_offline, paper_low
+class PrinterMonitor extends EventEmitter {
+  constructor(options) {
+    super();
+    this.check = options.check;
+    this.getPrinters = options.printers;
+    this.isBusy = options.isBusy || (() => false);
+    this.intervalMs = options.intervalMs || 30000;
+    this.historyLimit = options.historyLimit || 50;
+    this.states = new Map();
+    this.timer = null;
+    this.polling = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async poll() {
+    if (this.polling) {
+      return this.polling;
+    }
+
+    const printers = this.getPrinters().filter(printer => printer.id && printer.enabled !== false);
+    this.polling = Promise.all(printers.map(printer => this.pollPrinter(printer)))
+      .finally(() => {
+        this.polling = null;
+      });
+    return this.polling;
+  }
+
+  async pollPrinter(printer) {
+    // Yazdırma sırasında ikinci bir bağlantı açılmaz; tek bağlantı kabul eden yazıcılar yanlışlıkla çevrimdışı görünür
+    if (this.isBusy(printer)) {
+      return;
+    }
+
+    let observation;
+    try {
+      const status = await this.check(printer);
+      observation = {
+        state: status.ready === false ? 'offline' : 'online',
+        problems: status.problems || [],
+        paperLow: Boolean(status.paperNearEnd),
+        status
+      };
+    } catch (error) {
+      observation = { state: 'offline', problems: ['unreachable'], paperLow: false, error: error.message };
+    }
+
+    this.record(printer, observation);
+  }
+
+  record(printer, observation) {
+    const now = new Date().toISOString();
+    const previous = this.states.get(printer.id);
+    const current = {
+      id: printer.id,
+      name: printer.name || printer.id,
+      state: observation.state,
+      problems: observation.problems,
+      paperLow: observation.paperLow,
+      status: observation.status || null,
+      error: observation.error || null,
+      checkedAt: now,
+      since: previous && previous.state === observation.state ? previous.since : now,
+      history: previous ? previous.history : []
+    };
+
+    if (!previous || previous.state !== current.state) {
+      current.history.push({ state: current.state, problems: current.problems, at: now });
+      if (current.history.length > this.historyLimit) {
+        current.history.splice(0, current.history.length - this.historyLimit);
+      }
+    }
+    this.states.set(printer.id, current);
+
+    const event = { printer: current.id, name: current.name, problems: current.problems, at: now };
+    if (current.state === 'online' && (!previous || previous.state !== 'online')) {
+      this.emit('printer_online', event);
+    } else if (current.state === 'offline' && (!previous || previous.state !== 'offline')) {
+      this.emit('printer_offline', { ...event, error: current.error });
+    }
+    if (current.paperLow && (!previous || !previous.paperLow)) {
+      this.emit('paper_low', event);
+    }
+  }
+
+  getState(id) {
+    return this.states.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.states.values()).map(({ history, ...state }) => state);
+  }
+}
+
+module.exports = PrinterMonitor;
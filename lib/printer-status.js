@@ -0,0 +1,95 @@
+const net = require('net');
+
+const DLE = 0x10;
+const EOT = 0x04;
+
+// DLE EOT n yanıtlarında bit 1 ve 4 daima 1, bit 0 ve 7 daima 0'dır
+function isStatusByte(byte) {
+  return (byte & 0x93) === 0x12;
+}
+
+function decodePrinterStatus(bytes) {
+  const [printer, offline, error, paper] = bytes;
+
+  const status = {
+    reachable: true,
+    supported: true,
+    online: (printer & 0x08) === 0,
+    drawerOpen: (printer & 0x04) !== 0,
+    coverOpen: (offline & 0x04) !== 0,
+    paperFeed: (offline & 0x08) !== 0,
+    paperNearEnd: (paper & 0x0C) !== 0,
+    paperOut: (paper & 0x60) !== 0 || (offline & 0x20) !== 0,
+    cutterError: (error & 0x08) !== 0,
+    mechanicalError: (error & 0x04) !== 0,
+    unrecoverableError: (error & 0x20) !== 0,
+    autoRecoverableError: (error & 0x40) !== 0,
+    raw: Array.from(bytes)
+  };
+
+  const problems = [];
+  if (!status.online) problems.push('offline');
+  if (status.coverOpen) problems.push('cover open');
+  if (status.paperOut) problems.push('paper out');
+  if (status.cutterError) problems.push('cutter error');
+  if (status.mechanicalError) problems.push('mechanical error');
+  if (status.unrecoverableError) problems.push('unrecoverable error');
+  if (status.autoRecoverableError) problems.push('auto-recoverable error');
+
+  status.problems = problems;
+  status.ready = problems.length === 0;
+  return status;
+}
+
+// DLE EOT 1-4 gönderir ve dört durum baytını bekler. Yanıt vermeyen (tek yönlü) yazıcılar
+// supported: false olarak döner; bağlantı hataları ise reddedilir.
+function queryPrinterStatus(host, port = 9100, options = {}) {
+  const timeoutMs = options.timeoutMs || 1500;
+
+  return new Promise((resolve, reject) => {
+    const socket = new net.Socket();
+    const received = [];
+    let settled = false;
+
+    const finish = (error, status) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) reject(error); else resolve(status);
+    };
+
+    const timer = setTimeout(() => {
+      if (!socket.connecting) {
+        finish(null, { reachable: true, supported: false, online: true, ready: true, problems: [] });
+        return;
+      }
+      const timeoutError = new Error(`Printer ${host}:${port} did not answer`);
+      timeoutError.code = 'ETIMEDOUT';
+      finish(timeoutError);
+    }, timeoutMs);
+
+    socket.on('data', (chunk) => {
+      received.push(...chunk.filter(isStatusByte));
+      if (received.length >= 4) {
+        finish(null, decodePrinterStatus(received.slice(0, 4)));
+      }
+    });
+
+    socket.on('close', () => {
+      finish(null, { reachable: true, supported: false, online: true, ready: true, problems: [] });
+    });
+
+    socket.on('error', (error) => {
+      const statusError = new Error(`Status query failed: ${error.message}`);
+      statusError.code = error.code;
+      finish(statusError);
+    });
+
+    socket.connect(port, host, () => {
+      socket.write(Buffer.from([DLE, EOT, 1, DLE, EOT, 2, DLE, EOT, 3, DLE, EOT, 4]));
+    });
+  });
+}
+
+module.exports = { queryPrinterStatus, decodePrinterStatus };
@@ -0,0 +1,7 @@
+// Yazıcıların çoğu kendinden imzalı sertifika kullanır; doğrulama yalnızca insecureTls: true olan
+// yazıcılar için kapatılır, diğerlerinde sertifika sistemin güvendiği bir kökten gelmelidir
+function printerTlsOptions(printer = {}) {
+  return { rejectUnauthorized: printer.insecureTls !== true };
+}
+
+module.exports = { printerTlsOptions };
@@ -0,0 +1,53 @@
+const qrcode = require('qrcode-generator');
+
+const ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+function createQrMatrix(data, errorLevel = 'M', encoding = 'utf8') {
+  const level = String(errorLevel).toUpperCase();
+  if (!ERROR_LEVELS.includes(level)) {
+    throw new Error(`QR error level must be one of: ${ERROR_LEVELS.join(', ')}`);
+  }
+
+  // Kütüphanenin varsayılan dönüşümü her karakterin alt baytını alır; veri önceden istenen
+  // kodlamaya çevrilip bayt başına bir karakterle verilir, genel qrcode.stringToBytes değiştirilmez
+  const qr = qrcode(0, level);
+  qr.addData(Buffer.from(String(data), encoding).toString('latin1'), 'Byte');
+  qr.make();
+
+  const count = qr.getModuleCount();
+  const modules = [];
+  for (let row = 0; row < count; row++) {
+    const cells = [];
+    for (let col = 0; col < count; col++) {
+      cells.push(qr.isDark(row, col));
+    }
+    modules.push(cells);
+  }
+  return modules;
+}
+
+// 1 bit/piksel, satır başına ceil(width / 8) bayt, en anlamlı bit soldaki piksel
+function createQrBitmap(data, options = {}) {
+  const modules = createQrMatrix(data, options.errorLevel, options.encoding);
+  // Modül boyutu, 4 modüllük sessiz alanlarla birlikte kod maxWidth'e sığacak kadar küçültülür
+  const fitting = options.maxWidth ? Math.max(1, Math.floor(options.maxWidth / (modules.length + 8))) : Infinity;
+  const moduleSize = Math.min(options.moduleSize || 6, fitting);
+  const quietZone = 4 * moduleSize;
+  const width = modules.length * moduleSize + quietZone * 2;
+  const bytesPerRow = Math.ceil(width / 8);
+  const bitmap = Buffer.alloc(bytesPerRow * width);
+
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const row = Math.floor((y - quietZone) / moduleSize);
+      const col = Math.floor((x - quietZone) / moduleSize);
+      if (row >= 0 && col >= 0 && row < modules.length && col < modules.length && modules[row][col]) {
+        bitmap[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { width, height: width, bytesPerRow, data: bitmap };
+}
+
+module.exports = { createQrMatrix, createQrBitmap };
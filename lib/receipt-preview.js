@@ -0,0 +1,379 @@
+const { PNG } = require('pngjs');
+const { createQrBitmap } = require('./qr-matrix');
+const { glyphPixels, GLYPH_WIDTH, GLYPH_HEIGHT } = require('./preview-font');
+const { encodeBarcodeModules } = require('./barcode-symbols');
+
+// Epson yazı tipi hücreleri (nokta); A: 12x24, B: 9x17
+const FONTS = {
+  A: { width: 12, height: 24, scale: 2 },
+  B: { width: 9, height: 17, scale: 1 }
+};
+const MARGIN = 16;
+const CUT_SPACE = 16;
+
+// Çizilemeyen simgelemelerde yer tutucu kutunun genişliği için yaklaşık modül sayısı
+function barcodeModules(symbology, length) {
+  switch (symbology) {
+    case 'EAN13':
+    case 'UPCA':
+      return 95;
+    case 'EAN8':
+      return 67;
+    case 'UPCE':
+      return 51;
+    case 'CODE39':
+      return 16 * (length + 2);
+    case 'CODE128':
+      return 11 * (length + 3) + 2;
+    default:
+      return 11 * (length + 2);
+  }
+}
+
+function emptyBitmap(width, height) {
+  const bytesPerRow = Math.ceil(width / 8);
+  return { width, height, bytesPerRow, data: Buffer.alloc(bytesPerRow * height) };
+}
+
+function setPixel(bitmap, x, y) {
+  if (x >= 0 && y >= 0 && x < bitmap.width && y < bitmap.height) {
+    bitmap.data[y * bitmap.bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+  }
+}
+
+// Kodlanamayan barkod için çerçeveli ve etiketli kutu; okunabilir bir kod gibi görünmemesi için çubuk çizilmez
+function barcodePlaceholder(element, moduleWidth, height) {
+  const label = `${element.symbology} - no preview`;
+  const labelWidth = label.length * (GLYPH_WIDTH + 1) * 2;
+  const width = Math.max(barcodeModules(element.symbology, String(element.data).length) * moduleWidth, labelWidth + 16);
+  const bitmap = emptyBitmap(width, Math.max(height, GLYPH_HEIGHT * 2 + 8));
+
+  for (let x = 0; x < bitmap.width; x++) {
+    for (let y = 0; y < 2; y++) {
+      setPixel(bitmap, x, y);
+      setPixel(bitmap, x, bitmap.height - 1 - y);
+    }
+  }
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < 2; x++) {
+      setPixel(bitmap, x, y);
+      setPixel(bitmap, bitmap.width - 1 - x, y);
+    }
+  }
+
+  const left = Math.floor((bitmap.width - labelWidth) / 2);
+  const top = Math.floor((bitmap.height - GLYPH_HEIGHT * 2) / 2);
+  Array.from(label).forEach((char, index) => {
+    for (const [gx, gy] of glyphPixels(char)) {
+      for (let dy = 0; dy < 2; dy++) {
+        for (let dx = 0; dx < 2; dx++) {
+          setPixel(bitmap, left + index * (GLYPH_WIDTH + 1) * 2 + gx * 2 + dx, top + gy * 2 + dy);
+        }
+      }
+    }
+  });
+  return bitmap;
+}
+
+function barcodeBitmap(element) {
+  const moduleWidth = Math.max(1, element.width || 2);
+  const height = Math.max(1, element.height || 80);
+  const modules = encodeBarcodeModules(element.symbology, element.data);
+  if (!modules) {
+    return barcodePlaceholder(element, moduleWidth, height);
+  }
+
+  const bitmap = emptyBitmap(modules.length * moduleWidth, height);
+  for (let x = 0; x < bitmap.width; x++) {
+    if (modules[Math.floor(x / moduleWidth)] === '1') {
+      for (let y = 0; y < height; y++) {
+        setPixel(bitmap, x, y);
+      }
+    }
+  }
+  return bitmap;
+}
+
+function graphicBitmap(element) {
+  if (element.type === 'qr') {
+    return createQrBitmap(element.data, { moduleSize: element.size, errorLevel: element.errorLevel });
+  }
+  if (element.type === 'barcode') {
+    return barcodeBitmap(element);
+  }
+  return element.bitmap;
+}
+
+function isBlack(bitmap, x, y) {
+  return (bitmap.data[y * bitmap.bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) !== 0;
+}
+
+function alignOffset(align, contentWidth, dotWidth) {
+  if (align === 'center') return Math.max(0, Math.floor((dotWidth - contentWidth) / 2));
+  if (align === 'right') return Math.max(0, dotWidth - contentWidth);
+  return 0;
+}
+
+function hriLine(element) {
+  return { type: 'text', align: 'center', font: 'A', height: 1, runs: [{ text: String(element.data), font: 'A', width: 1, height: 1 }] };
+}
+
+// Yazıcının yaptığı gibi kağıda sığmayan satırlar alt satıra geçer
+function layoutTextLine(element, dotWidth) {
+  const lines = [];
+  let current = { runs: [], width: 0 };
+
+  for (const run of element.runs) {
+    const font = FONTS[run.font] || FONTS.A;
+    const charWidth = font.width * run.width;
+    for (const char of Array.from(run.text)) {
+      if (current.width + charWidth > dotWidth && current.runs.length > 0) {
+        lines.push(current);
+        current = { runs: [], width: 0 };
+      }
+      const last = current.runs[current.runs.length - 1];
+      if (last && last.source === run) {
+        last.text += char;
+      } else {
+        current.runs.push({ ...run, source: run, text: char });
+      }
+      current.width += charWidth;
+    }
+  }
+  lines.push(current);
+
+  return lines.map(line => {
+    const blank = FONTS[element.font] || FONTS.A;
+    const height = line.runs.length > 0
+      ? Math.max(...line.runs.map(run => (FONTS[run.font] || FONTS.A).height * run.height))
+      : blank.height * element.height;
+    return { ...line, height, align: element.align };
+  });
+}
+
+class Canvas {
+  constructor(width) {
+    this.width = width;
+    this.rows = [];
+    this.y = 0;
+  }
+
+  set(x, y, value = 1) {
+    if (x < 0 || x >= this.width || y < 0) {
+      return;
+    }
+    while (this.rows.length <= y) {
+      this.rows.push(new Uint8Array(this.width));
+    }
+    this.rows[y][x] = value;
+  }
+
+  fill(x, y, width, height, value = 1) {
+    for (let dy = 0; dy < height; dy++) {
+      for (let dx = 0; dx < width; dx++) {
+        this.set(x + dx, y + dy, value);
+      }
+    }
+  }
+
+  bitmap(bitmap, x, y) {
+    for (let row = 0; row < bitmap.height; row++) {
+      for (let col = 0; col < bitmap.width; col++) {
+        if (isBlack(bitmap, col, row)) {
+          this.set(x + col, y + row);
+        }
+      }
+    }
+  }
+
+  textLine(line) {
+    let x = alignOffset(line.align, line.width, this.width);
+    const bottom = this.y + line.height;
+
+    for (const run of line.runs) {
+      const font = FONTS[run.font] || FONTS.A;
+      const cellWidth = font.width * run.width;
+      const cellHeight = font.height * run.height;
+      const scaleX = font.scale * run.width;
+      const scaleY = font.scale * run.height;
+      const offsetX = Math.floor((cellWidth - GLYPH_WIDTH * scaleX) / 2);
+      const top = bottom - cellHeight + Math.floor((cellHeight - GLYPH_HEIGHT * scaleY) / 2);
+
+      for (const char of Array.from(run.text)) {
+        for (const [gx, gy] of glyphPixels(char)) {
+          this.fill(x + offsetX + gx * scaleX, top + gy * scaleY, scaleX + (run.bold ? 1 : 0), scaleY);
+        }
+        if (run.underline) {
+          this.fill(x, bottom - 2, cellWidth, 2);
+        }
+        x += cellWidth;
+      }
+    }
+    this.y = bottom;
+  }
+
+  graphic(bitmap, align) {
+    this.bitmap(bitmap, alignOffset(align, bitmap.width, this.width), this.y);
+    this.y += bitmap.height;
+  }
+
+  cut() {
+    this.y += CUT_SPACE;
+    for (let x = 0; x < this.width; x++) {
+      if (x % 12 < 6) this.set(x, this.y, 2);
+    }
+    this.y += CUT_SPACE;
+  }
+
+  toPng() {
+    const width = this.width + MARGIN * 2;
+    const height = Math.max(this.y, this.rows.length) + MARGIN * 2;
+    const png = new PNG({ width, height });
+    png.data.fill(255);
+
+    this.rows.forEach((row, y) => {
+      row.forEach((value, x) => {
+        if (value) {
+          const offset = ((y + MARGIN) * width + x + MARGIN) * 4;
+          const shade = value === 2 ? 160 : 0;
+          png.data[offset] = shade;
+          png.data[offset + 1] = shade;
+          png.data[offset + 2] = shade;
+        }
+      });
+    });
+    return PNG.sync.write(png);
+  }
+}
+
+function renderPreviewPng(elements, options = {}) {
+  const canvas = new Canvas(options.dotWidth || 576);
+
+  for (const element of elements) {
+    switch (element.type) {
+      case 'text':
+        layoutTextLine(element, canvas.width).forEach(line => canvas.textLine(line));
+        break;
+
+      case 'space':
+        canvas.y += element.dots;
+        break;
+
+      case 'image':
+      case 'qr':
+      case 'barcode': {
+        const showHri = element.type === 'barcode' ? element.hri : 'none';
+        if (showHri === 'above' || showHri === 'both') {
+          layoutTextLine(hriLine(element), canvas.width).forEach(line => canvas.textLine(line));
+        }
+        canvas.graphic(graphicBitmap(element), element.align);
+        if (showHri === 'below' || showHri === 'both') {
+          layoutTextLine(hriLine(element), canvas.width).forEach(line => canvas.textLine(line));
+        }
+        break;
+      }
+
+      case 'cut':
+        canvas.cut();
+        break;
+    }
+  }
+
+  return canvas.toPng();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function bitmapToDataUri(bitmap) {
+  const png = new PNG({ width: bitmap.width, height: bitmap.height });
+  png.data.fill(255);
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      if (isBlack(bitmap, x, y)) {
+        const offset = (y * bitmap.width + x) * 4;
+        png.data[offset] = 0;
+        png.data[offset + 1] = 0;
+        png.data[offset + 2] = 0;
+      }
+    }
+  }
+  return `data:image/png;base64,${PNG.sync.write(png).toString('base64')}`;
+}
+
+function htmlTextLine(line) {
+  const runs = line.runs.map(run => {
+    const font = FONTS[run.font] || FONTS.A;
+    const fontSize = font.height * run.height * 0.8;
+    // Tek aralıklı yazı tiplerinde karakter genişliği yaklaşık 0.6em'dir
+    const scaleX = (font.width * run.width) / (fontSize * 0.6);
+    const style = [
+      `width:${font.width * run.width * Array.from(run.text).length}px`,
+      `height:${font.height * run.height}px`,
+      run.bold ? 'font-weight:bold' : '',
+      run.underline ? 'text-decoration:underline' : ''
+    ].filter(Boolean).join(';');
+    return `<span class="run" style="${style}"><span style="font-size:${fontSize}px;line-height:${font.height * run.height}px;transform:scaleX(${scaleX.toFixed(3)})">${escapeHtml(run.text)}</span></span>`;
+  });
+  return `<div class="line" style="text-align:${line.align};height:${line.height}px">${runs.join('')}</div>`;
+}
+
+function renderPreviewHtml(elements, options = {}) {
+  const dotWidth = options.dotWidth || 576;
+  const body = [];
+
+  for (const element of elements) {
+    switch (element.type) {
+      case 'text':
+        layoutTextLine(element, dotWidth).forEach(line => body.push(htmlTextLine(line)));
+        break;
+
+      case 'space':
+        body.push(`<div style="height:${element.dots}px"></div>`);
+        break;
+
+      case 'image':
+      case 'qr':
+      case 'barcode': {
+        const bitmap = graphicBitmap(element);
+        const showHri = element.type === 'barcode' ? element.hri : 'none';
+        const hri = layoutTextLine(hriLine(element), dotWidth).map(htmlTextLine).join('');
+        if (showHri === 'above' || showHri === 'both') body.push(hri);
+        body.push(`<div class="graphic" style="text-align:${element.align}"><img src="${bitmapToDataUri(bitmap)}" width="${bitmap.width}" height="${bitmap.height}" alt="${element.type}"></div>`);
+        if (showHri === 'below' || showHri === 'both') body.push(hri);
+        break;
+      }
+
+      case 'cut':
+        body.push(`<div class="cut${element.partial ? ' partial' : ''}"></div>`);
+        break;
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt preview</title>
+<style>
+  body { background: #e0e0e0; margin: 0; padding: 16px; }
+  .receipt { width: ${dotWidth}px; margin: 0 auto; padding: ${MARGIN}px; background: #fff; font-family: 'DejaVu Sans Mono', Consolas, monospace; color: #000; }
+  .line { white-space: pre; overflow: visible; }
+  .run { display: inline-block; vertical-align: bottom; white-space: pre; }
+  .run > span { display: inline-block; transform-origin: 0 0; }
+  .graphic img { image-rendering: pixelated; display: inline-block; }
+  .cut { border-top: 2px dashed #999; margin: ${CUT_SPACE}px -${MARGIN}px; }
+  .cut.partial { border-top-style: dotted; }
+</style>
+</head>
+<body>
+<div class="receipt">
+${body.join('\n')}
+</div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderPreviewPng, renderPreviewHtml };
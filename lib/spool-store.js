@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Büyük ham işler kuyruk dosyasına gömülmek yerine diske akıtılır
+class SpoolStore {
+  constructor(options) {
+    this.directory = options.directory;
+    this.maxBytes = options.maxBytes || Infinity;
+  }
+
+  // Sınırı aşan yükleme yarıda kesilir; Content-Length gönderilmeyen istekler de sınırlanır
+  limit() {
+    let size = 0;
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size > this.maxBytes) {
+          const error = new Error(`Print data exceeds ${this.maxBytes} bytes`);
+          error.statusCode = 413;
+          return callback(error);
+        }
+        callback(null, chunk);
+      }
+    });
+  }
+
+  filePath(id) {
+    if (!/^[0-9a-f-]+$/.test(id)) {
+      throw new Error(`Invalid spool id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.bin`);
+  }
+
+  async write(stream) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const id = crypto.randomUUID();
+    const filePath = this.filePath(id);
+
+    try {
+      await pipeline(stream, this.limit(), fs.createWriteStream(filePath));
+    } catch (error) {
+      this.remove(id);
+      throw error;
+    }
+    return { id, size: fs.statSync(filePath).size };
+  }
+
+  load(id) {
+    try {
+      return fs.readFileSync(this.filePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Spooled print data ${id} no longer exists`);
+      }
+      throw error;
+    }
+  }
+
+  remove(id) {
+    try {
+      fs.unlinkSync(this.filePath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove spool file ${id}:`, error.message);
+      }
+    }
+  }
+
+  // Hiçbir işin kullanmadığı dosyaları siler (ör. çökme sonrası kalanlar)
+  cleanup(activeIds) {
+    if (!fs.existsSync(this.directory)) {
+      return;
+    }
+    for (const file of fs.readdirSync(this.directory)) {
+      const id = path.basename(file, '.bin');
+      if (/^[0-9a-f-]+\.bin$/.test(file) && !activeIds.has(id)) {
+        this.remove(id);
+      }
+    }
+  }
+}
+
+module.exports = SpoolStore;
@@ -0,0 +1,185 @@
+const EscPosEncoder = require('./escpos-encoder');
+const { createQrBitmap } = require('./qr-matrix');
+const { normalizeHri } = require('./barcode-options');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const RS = 0x1E;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+const QR_ERROR_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+
+// ESC b n1: Star barkod tipleri
+const BARCODE_SYMBOLOGIES = {
+  UPCE: 0,
+  UPCA: 1,
+  EAN8: 2,
+  EAN13: 3,
+  CODE39: 4,
+  ITF: 5,
+  CODE128: 6,
+  CODE93: 7,
+  CODABAR: 8
+};
+
+// ESC GS t n: Star kod sayfası numaraları
+const STAR_CODE_PAGE_IDS = {
+  cp437: 1,
+  cp858: 4,
+  cp857: 12,
+  cp1252: 32
+};
+
+// StarPRNT ve Star Line Mode komutları. İki mod metin, kesim ve kod sayfasında aynıdır;
+// Line Mode'da görüntüler ESC k şeritleriyle, QR kodlar görüntü olarak ve çekmece BEL ile sürülür.
+class StarEncoder extends EscPosEncoder {
+  constructor(options = {}) {
+    const lineMode = Boolean(options.lineMode);
+    super({
+      ...options,
+      defaultCodePageIds: STAR_CODE_PAGE_IDS,
+      selectCommand: id => [ESC, GS, 0x74, id],
+      nativeQr: lineMode ? options.nativeQr === true : options.nativeQr,
+      imageMode: options.imageMode || (lineMode ? 'column' : 'raster')
+    });
+    this.lineMode = lineMode;
+  }
+
+  initialize() {
+    this.raw([ESC, 0x40]);
+    this.raw(this.codePage.reset());
+    if (this.fontName !== 'A') {
+      this.font(this.fontName);
+    }
+    return this;
+  }
+
+  font(name) {
+    return this.raw([ESC, RS, 0x46, String(name).toUpperCase() === 'B' ? 1 : 0]);
+  }
+
+  align(alignment) {
+    return this.raw([ESC, GS, 0x61, ALIGNMENTS[alignment] || 0]);
+  }
+
+  bold(enabled) {
+    return this.raw([ESC, enabled ? 0x45 : 0x46]);
+  }
+
+  underline(mode) {
+    return this.raw([ESC, 0x2D, mode ? 1 : 0]);
+  }
+
+  // ESC i n1 n2: yükseklik ve genişlik büyütmesi, en fazla 6 kat
+  size(width = 1, height = 1) {
+    const w = Math.max(1, Math.min(6, width)) - 1;
+    const h = Math.max(1, Math.min(6, height)) - 1;
+    return this.raw([ESC, 0x69, h, w]);
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x61, Math.max(0, Math.min(127, lines))]);
+  }
+
+  // ESC d n: 2 tam, 3 kısmi kesim; ikisi de önce kesim konumuna kadar kağıt ilerletir
+  cut(partial = false) {
+    return this.raw([ESC, 0x64, partial ? 3 : 2]);
+  }
+
+  pulse(options = {}) {
+    const drawer = Number(options.pin) === 5 ? 2 : 1;
+    if (this.lineMode) {
+      // ESC BEL n1 n2 darbe süresini (10 ms birimi) ayarlar; BEL 1., SUB 2. çekmeceyi açar
+      const on = Math.max(1, Math.min(127, Math.round((options.onMs || 100) / 10)));
+      const off = Math.max(1, Math.min(127, Math.round((options.offMs || 200) / 10)));
+      return this.raw([ESC, 0x07, on, off, drawer === 2 ? 0x1A : 0x07]);
+    }
+    // ESC GS BEL m t1 t2: süreler 20 ms birimindedir
+    const on = Math.max(1, Math.min(255, Math.round((options.onMs || 100) / 20)));
+    const off = Math.max(1, Math.min(255, Math.round((options.offMs || 200) / 20)));
+    return this.raw([ESC, GS, 0x07, drawer, on, off]);
+  }
+
+  // ESC GS DC1 buzzer darbesini ayarlar (20 ms birimi), ESC GS DC2 n kez çaldırır
+  beep(options = {}) {
+    const times = Math.max(1, Math.min(9, options.times || 1));
+    const pulse = Math.max(1, Math.min(255, Math.round((options.duration || 3) * 50 / 20)));
+    this.raw([ESC, GS, 0x11, 1, pulse, pulse]);
+    return this.raw([ESC, GS, 0x12, 1, times, 0]);
+  }
+
+  qrcode(data, options = {}) {
+    const size = Math.max(1, Math.min(8, options.size || 6));
+    const errorLevel = String(options.errorLevel || 'M').toUpperCase();
+    if (QR_ERROR_LEVELS[errorLevel] === undefined) {
+      throw new Error(`QR error level must be one of: ${Object.keys(QR_ERROR_LEVELS).join(', ')}`);
+    }
+
+    if (!this.nativeQr) {
+      return this.image(createQrBitmap(data, { moduleSize: size, errorLevel, maxWidth: this.dotWidth }));
+    }
+
+    const bytes = Buffer.from(String(data), 'utf8');
+    this.raw([ESC, GS, 0x79, 0x53, 0x30, 2]);
+    this.raw([ESC, GS, 0x79, 0x53, 0x31, QR_ERROR_LEVELS[errorLevel]]);
+    this.raw([ESC, GS, 0x79, 0x53, 0x32, size]);
+    this.raw([ESC, GS, 0x79, 0x44, 0x31, 0x00, bytes.length & 0xFF, bytes.length >> 8]);
+    this.raw(bytes);
+    this.raw([ESC, GS, 0x79, 0x50]);
+    return this;
+  }
+
+  // ESC b n1 n2 n3 n4 veri RS; Code128 kod kümesini yazıcı kendisi seçer
+  barcode(data, options = {}) {
+    const symbology = String(options.symbology || 'CODE128').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (BARCODE_SYMBOLOGIES[symbology] === undefined) {
+      throw new Error(`Unsupported barcode symbology: ${options.symbology}`);
+    }
+
+    const content = String(data).replace(/^\{[ABC]/, '');
+    if (content.length > 255) {
+      throw new Error('Barcode data is too long');
+    }
+
+    const hri = normalizeHri(options.hri) === 'none' ? 1 : 2;
+    const width = Math.max(1, Math.min(3, (options.width || 3) - 1));
+    const height = Math.max(1, Math.min(255, options.height || 80));
+    this.raw([ESC, 0x62, BARCODE_SYMBOLOGIES[symbology], hri, width, height]);
+    this.raw(Buffer.from(content, 'latin1'));
+    this.raw([RS]);
+    return this;
+  }
+
+  // ESC GS S m xL xH yL yH n: raster görüntü (StarPRNT)
+  raster(bitmap) {
+    const { bytesPerRow, height } = bitmap;
+    this.raw([ESC, GS, 0x53, 1, bytesPerRow & 0xFF, bytesPerRow >> 8, height & 0xFF, height >> 8, 0]);
+    this.raw(bitmap.data);
+    return this;
+  }
+
+  // ESC k n1 n2: 24 noktalık dikey şeritler (Line Mode); ESC 0 satır aralığını şerit yüksekliğine indirir
+  columnImage(bitmap) {
+    const { width, height, bytesPerRow } = bitmap;
+    const isBlack = (x, y) => y < height && (bitmap.data[y * bytesPerRow + (x >> 3)] & (0x80 >> (x & 7))) !== 0;
+
+    this.raw([ESC, 0x30]);
+    for (let top = 0; top < height; top += 24) {
+      const band = Buffer.alloc(width * 3);
+      for (let x = 0; x < width; x++) {
+        for (let bit = 0; bit < 24; bit++) {
+          if (isBlack(x, top + bit)) {
+            band[x * 3 + (bit >> 3)] |= 0x80 >> (bit & 7);
+          }
+        }
+      }
+      this.raw([ESC, 0x6B, width & 0xFF, width >> 8]);
+      this.raw(band);
+      this.newline();
+    }
+    this.raw([ESC, 0x7A, 1]);
+    return this;
+  }
+}
+
+module.exports = StarEncoder;
@@ -0,0 +1,179 @@
+const FILTERS = {
+  money: value => (Number(value) || 0).toFixed(2),
+  upper: value => String(value).toLocaleUpperCase('tr-TR'),
+  lower: value => String(value).toLocaleLowerCase('tr-TR'),
+  date: value => new Date(value).toLocaleDateString('tr-TR'),
+  time: value => new Date(value).toLocaleTimeString('tr-TR')
+};
+
+function parseTemplate(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.elseChildren : node.children;
+  };
+
+  for (const token of source.split(/(\{\{[^}]*\}\})/)) {
+    if (!token) {
+      continue;
+    }
+    if (!token.startsWith('{{') || !token.endsWith('}}')) {
+      current().push({ type: 'text', value: token });
+      continue;
+    }
+
+    const tag = token.slice(2, -2).trim();
+    if (tag.startsWith('#each ') || tag.startsWith('#if ') || tag.startsWith('#unless ')) {
+      const [keyword, ...rest] = tag.slice(1).split(/\s+/);
+      const node = { type: keyword, expression: rest.join(' '), children: [], elseChildren: [] };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type === 'root' || node.type === 'each') {
+        throw new Error('{{else}} outside of {{#if}}');
+      }
+      node.inElse = true;
+    } else if (tag.startsWith('/')) {
+      const node = stack.pop();
+      if (!node || node.type !== tag.slice(1)) {
+        throw new Error(`Unexpected {{${tag}}}`);
+      }
+    } else {
+      current().push({ type: 'value', expression: tag });
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}}`);
+  }
+  return root;
+}
+
+function lookup(context, path) {
+  if (path === 'this' || path === '.') {
+    return context.this;
+  }
+  return path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    return value[key];
+  }, context);
+}
+
+function evaluate(context, expression) {
+  const [path, ...filters] = expression.split('|').map(part => part.trim());
+  let value = lookup(context, path);
+  for (const name of filters) {
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown template filter: ${name}`);
+    }
+    value = value === undefined || value === null ? value : FILTERS[name](value);
+  }
+  return value;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function childContext(context, item, index) {
+  const child = Object.create(context);
+  if (item && typeof item === 'object') {
+    Object.assign(child, item);
+  }
+  child.this = item;
+  child['@index'] = index;
+  child['@number'] = index + 1;
+  return child;
+}
+
+function renderNodes(nodes, context) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'value': {
+        const value = evaluate(context, node.expression);
+        output += value === undefined || value === null ? '' : String(value);
+        break;
+      }
+
+      case 'each': {
+        const items = evaluate(context, node.expression) || [];
+        items.forEach((item, index) => {
+          output += renderNodes(node.children, childContext(context, item, index));
+        });
+        break;
+      }
+
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(evaluate(context, node.expression));
+        output += renderNodes(truthy === (node.type === 'if') ? node.children : node.elseChildren, context);
+        break;
+      }
+    }
+  }
+  return output;
+}
+
+function renderString(source, context) {
+  // Tek bir {{ifade}} içeren alanlar sayı/dizi gibi ham değerlerini korur
+  const single = source.match(/^\{\{\s*([^#/}][^}]*)\}\}$/);
+  if (single && single[1].trim() !== 'else') {
+    return evaluate(context, single[1].trim());
+  }
+  return renderNodes(parseTemplate(source).children, context);
+}
+
+function interpolate(value, context) {
+  if (typeof value === 'string') {
+    return renderString(value, context);
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => interpolate(entry, context));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = interpolate(entry, context);
+    }
+    return result;
+  }
+  return value;
+}
+
+function expandBlocks(blocks, context) {
+  const expanded = [];
+  for (const block of blocks) {
+    if (block.type === 'each') {
+      const items = evaluate(context, block.items) || [];
+      items.forEach((item, index) => {
+        expanded.push(...expandBlocks(block.blocks || [], childContext(context, item, index)));
+      });
+    } else if (block.type === 'if') {
+      const truthy = isTruthy(evaluate(context, block.test));
+      expanded.push(...expandBlocks((truthy ? block.blocks : block.else) || [], context));
+    } else {
+      expanded.push(interpolate(block, context));
+    }
+  }
+  return expanded;
+}
+
+function renderTemplate(template, data) {
+  const context = { now: new Date().toISOString(), ...data };
+
+  if (template.format === 'document' || template.format === 'zpl') {
+    return { blocks: expandBlocks(template.content, context) };
+  }
+  return renderNodes(parseTemplate(template.content).children, context);
+}
+
+module.exports = { renderTemplate, parseTemplate };
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const DEFAULT_TEMPLATES = require('./default-templates');
+const { renderTemplate, parseTemplate } = require('./template-engine');
+
+const TEMPLATE_FORMATS = ['document', 'escpos', 'text', 'zpl'];
+
+class TemplateStore {
+  constructor(options) {
+    this.storagePath = options.storagePath;
+    this.templates = new Map();
+
+    DEFAULT_TEMPLATES.forEach(template => this.templates.set(template.id, { ...template, builtIn: true }));
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+      for (const template of stored.templates || []) {
+        const builtIn = DEFAULT_TEMPLATES.some(defaultTemplate => defaultTemplate.id === template.id);
+        this.templates.set(template.id, { ...template, builtIn });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load templates:', error.message);
+      }
+    }
+  }
+
+  persist() {
+    // Yalnızca kullanıcı tarafından oluşturulan veya değiştirilen şablonlar diske yazılır
+    const customized = Array.from(this.templates.values())
+      .filter(template => template.updatedAt)
+      .map(({ builtIn, ...template }) => template);
+
+    fs.mkdirSync(path.dirname(this.storagePath), { recursive: true });
+    const tempPath = `${this.storagePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ templates: customized }, null, 2));
+    fs.renameSync(tempPath, this.storagePath);
+  }
+
+  list() {
+    return Array.from(this.templates.values());
+  }
+
+  get(id) {
+    return this.templates.get(id) || null;
+  }
+
+  validate(template) {
+    if (!template.id || !/^[A-Za-z0-9_-]+$/.test(template.id)) {
+      throw new Error('Template id may only contain letters, digits, "_" and "-"');
+    }
+    if (!TEMPLATE_FORMATS.includes(template.format)) {
+      throw new Error(`Template format must be one of: ${TEMPLATE_FORMATS.join(', ')}`);
+    }
+    if (template.format === 'document' || template.format === 'zpl') {
+      if (!Array.isArray(template.content)) {
+        throw new Error(`${template.format === 'zpl' ? 'Label' : 'Document'} template content must be an array of blocks`);
+      }
+    } else {
+      if (typeof template.content !== 'string') {
+        throw new Error('Text template content must be a string');
+      }
+      parseTemplate(template.content);
+    }
+  }
+
+  save(template) {
+    const existing = this.templates.get(template.id);
+    const saved = {
+      id: template.id,
+      name: template.name || (existing && existing.name) || template.id,
+      format: template.format || (existing && existing.format) || 'document',
+      content: template.content,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.validate(saved);
+    this.templates.set(saved.id, {
+      ...saved,
+      builtIn: DEFAULT_TEMPLATES.some(defaultTemplate => defaultTemplate.id === saved.id)
+    });
+    this.persist();
+    return this.templates.get(saved.id);
+  }
+
+  remove(id) {
+    if (!this.templates.has(id)) {
+      return false;
+    }
+
+    const defaultTemplate = DEFAULT_TEMPLATES.find(template => template.id === id);
+    if (defaultTemplate) {
+      this.templates.set(id, { ...defaultTemplate, builtIn: true });
+    } else {
+      this.templates.delete(id);
+    }
+    this.persist();
+    return true;
+  }
+
+  render(id, data = {}) {
+    const template = this.templates.get(id);
+    if (!template) {
+      throw new Error(`Unknown template: ${id}`);
+    }
+
+    return {
+      data: renderTemplate(template, data),
+      format: template.format === 'text' ? 'escpos' : template.format
+    };
+  }
+}
+
+module.exports = TemplateStore;
@@ -0,0 +1,111 @@
+const { padStart, textLength } = require('./layout');
+
+// Ofis yazıcıları için düz metin kodlayıcı: hizalama boşluklarla yapılır, biçimlendirme komutları
+// yok sayılır, kesim sayfa sonu (form feed) olur. Görüntü ve QR kodlar basılamaz.
+class PlainTextEncoder {
+  constructor(options = {}) {
+    this.width = options.width || 80;
+    this.lines = [];
+    this.current = '';
+    this.alignment = 'left';
+  }
+
+  raw() {
+    return this;
+  }
+
+  initialize() {
+    return this;
+  }
+
+  align(alignment) {
+    this.alignment = alignment;
+    return this;
+  }
+
+  bold() {
+    return this;
+  }
+
+  underline() {
+    return this;
+  }
+
+  size() {
+    return this;
+  }
+
+  font() {
+    return this;
+  }
+
+  text(value) {
+    this.current += String(value);
+    return this;
+  }
+
+  newline() {
+    const text = this.current.trimEnd();
+    const padding = this.width - textLength(text);
+    if (!text) {
+      this.lines.push('');
+    } else if (this.alignment === 'center' && padding > 0) {
+      this.lines.push(' '.repeat(Math.floor(padding / 2)) + text);
+    } else if (this.alignment === 'right' && padding > 0) {
+      this.lines.push(padStart(text, this.width));
+    } else {
+      this.lines.push(text);
+    }
+    this.current = '';
+    return this;
+  }
+
+  line(value) {
+    return this.text(value).newline();
+  }
+
+  feed(lines = 1) {
+    for (let line = 0; line < lines; line++) {
+      this.lines.push('');
+    }
+    return this;
+  }
+
+  cut() {
+    if (this.current) {
+      this.newline();
+    }
+    this.lines.push('\f');
+    return this;
+  }
+
+  pulse() {
+    return this;
+  }
+
+  beep() {
+    return this;
+  }
+
+  qrcode() {
+    return this;
+  }
+
+  // Barkod yerine okunabilir içeriği basılır
+  barcode(data) {
+    return this.line(String(data).replace(/^\{[ABC]/, ''));
+  }
+
+  image() {
+    return this;
+  }
+
+  encode() {
+    if (this.current) {
+      this.newline();
+    }
+    return `${this.lines.join('\n').replace(/\n?\f\n?/g, '\f').replace(/\f$/, '')}\n`;
+  }
+}
+
+module.exports = PlainTextEncoder;
@@ -0,0 +1,223 @@
+const { normalizeDocument } = require('./document-renderer');
+const { createQrMatrix } = require('./qr-matrix');
+const { imageToBitmap } = require('./image-processing');
+const { decodeBase64Image } = require('./image-store');
+const { wrapText } = require('./layout');
+const { normalizeHri } = require('./barcode-options');
+
+// ^B komutlarının parametre sırası farklıdır; h yükseklik, f okunabilir satır olarak doldurulur,
+// diğerleri olduğu gibi yazılır (Code39 ve Codabar'da ikinci parametre kontrol basamağıdır)
+const BARCODE_COMMANDS = {
+  CODE128: { command: 'BC', params: ['h', 'f', 'N', 'N'] },
+  CODE39: { command: 'B3', params: ['N', 'h', 'f', 'N'] },
+  CODE93: { command: 'BA', params: ['h', 'f', 'N', 'N'] },
+  EAN13: { command: 'BE', params: ['h', 'f', 'N'] },
+  EAN8: { command: 'B8', params: ['h', 'f', 'N'] },
+  UPCA: { command: 'BU', params: ['h', 'f', 'N', 'Y'] },
+  UPCE: { command: 'B9', params: ['h', 'f', 'N', 'Y'] },
+  ITF: { command: 'B2', params: ['h', 'f', 'N', 'N'] },
+  CODABAR: { command: 'BK', params: ['N', 'h', 'f', 'N', 'A', 'A'] }
+};
+
+const ALIGNMENTS = { left: 'L', center: 'C', right: 'R', justify: 'J' };
+const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// A0 ölçeklenebilir yazı tipinde karakter genişliği yaklaşık yüksekliğin yarısıdır
+const CHAR_WIDTH_RATIO = 0.55;
+
+function isRawZpl(data) {
+  return typeof data === 'string' && /^\s*(\^XA|~)/.test(data);
+}
+
+// ^FH ile alan verisindeki ^, ~ ve _ karakterleri onaltılık kaçışla yazılır
+function escapeField(value) {
+  return String(value).replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Eksik şablon değişkenleri "undefined" yerine boş alan olarak basılır
+function fieldText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function fieldData(value) {
+  return `^FH^FD${escapeField(value)}^FS`;
+}
+
+class ZplLabel {
+  constructor(options = {}) {
+    this.dotsPerMm = (options.dpi || 203) / 25.4;
+    this.width = this.dots(options.width || 100);
+    this.height = this.dots(options.height || 50);
+    this.margin = this.dots(options.margin !== undefined ? options.margin : 2);
+    this.gap = this.dots(options.gap !== undefined ? options.gap : 1);
+    this.loadImage = options.loadImage;
+    this.commands = [];
+    this.cursor = this.margin;
+  }
+
+  dots(mm) {
+    return Math.round(Number(mm) * this.dotsPerMm);
+  }
+
+  // Konumu verilmeyen öğeler bir öncekinin altına yerleştirilir; y verilen öğeler akışı etkilemez
+  place(block, height) {
+    const x = block.x !== undefined ? this.dots(block.x) : this.margin;
+    if (block.y !== undefined) {
+      return { x, y: this.dots(block.y) };
+    }
+    const y = this.cursor;
+    this.cursor += height + this.gap;
+    return { x, y };
+  }
+
+  text(block) {
+    const height = this.dots(block.size || 3);
+    const fontWidth = Math.round(height * (block.bold ? 1.1 : 0.9));
+    const x = block.x !== undefined ? this.dots(block.x) : this.margin;
+    const width = block.width !== undefined ? this.dots(block.width) : this.width - x - this.margin;
+    const charsPerLine = Math.max(1, Math.floor(width / (fontWidth * CHAR_WIDTH_RATIO)));
+    const text = fieldText(block.text);
+    const lines = block.lines || Math.min(block.maxLines || 3, wrapText(text, charsPerLine).length);
+
+    const position = this.place(block, height * lines);
+    const align = ALIGNMENTS[block.align] || 'L';
+    this.commands.push(`^FO${position.x},${position.y}^A0N,${height},${fontWidth}^FB${width},${lines},0,${align},0${block.invert ? '^FR' : ''}${fieldData(text)}`);
+  }
+
+  barcode(block) {
+    const symbology = String(block.symbology || 'CODE128').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const barcode = BARCODE_COMMANDS[symbology];
+    if (!barcode) {
+      throw new Error(`Unsupported barcode symbology: ${block.symbology}`);
+    }
+    const height = this.dots(block.height || 10);
+    const hri = normalizeHri(block.hri) !== 'none';
+    const moduleWidth = Math.max(1, Math.min(10, block.moduleWidth || 2));
+    const values = { h: height, f: hri ? 'Y' : 'N' };
+    const params = ['N', ...barcode.params.map(param => (param in values ? values[param] : param))];
+
+    // Okunabilir satır çubukların altında yaklaşık 3 mm yer kaplar
+    const position = this.place(block, height + (hri ? this.dots(3) : 0));
+    this.commands.push(`^FO${position.x},${position.y}^BY${moduleWidth},3,${height}^${barcode.command}${params.join(',')}${fieldData(block.data)}`);
+  }
+
+  qr(block) {
+    const magnification = Math.max(1, Math.min(10, block.size || 4));
+    const errorLevel = String(block.errorLevel || 'M').toUpperCase();
+    if (!QR_ERROR_LEVELS.includes(errorLevel)) {
+      throw new Error(`QR error level must be one of: ${QR_ERROR_LEVELS.join(', ')}`);
+    }
+    const size = createQrMatrix(String(block.data), errorLevel).length * magnification;
+
+    let x = block.x !== undefined ? this.dots(block.x) : this.margin;
+    if (block.x === undefined && block.align === 'center') {
+      x = Math.max(0, Math.round((this.width - size) / 2));
+    } else if (block.x === undefined && block.align === 'right') {
+      x = Math.max(0, this.width - this.margin - size);
+    }
+    const { y } = this.place(block, size);
+    this.commands.push(`^FO${x},${y}^BQN,2,${magnification}${fieldData(`${errorLevel}A,${block.data}`)}`);
+  }
+
+  box(block) {
+    const thickness = Math.max(1, this.dots(block.thickness || 0.3));
+    const width = Math.max(thickness, block.width !== undefined ? this.dots(block.width) : this.width - this.margin * 2);
+    const height = Math.max(thickness, this.dots(block.height || 10));
+    const position = this.place(block, height);
+    this.commands.push(`^FO${position.x},${position.y}^GB${width},${height},${thickness},B,${Math.max(0, Math.min(8, block.rounding || 0))}^FS`);
+  }
+
+  line(block) {
+    const thickness = Math.max(1, this.dots(block.thickness || 0.3));
+    if (block.orientation === 'vertical') {
+      const length = block.length !== undefined ? this.dots(block.length) : this.height - this.margin * 2;
+      const position = this.place(block, length);
+      this.commands.push(`^FO${position.x},${position.y}^GB${thickness},${length},${thickness}^FS`);
+      return;
+    }
+    const length = block.length !== undefined ? this.dots(block.length) : this.width - this.margin * 2;
+    const position = this.place(block, thickness);
+    this.commands.push(`^FO${position.x},${position.y}^GB${length},${thickness},${thickness}^FS`);
+  }
+
+  image(block) {
+    let buffer;
+    if (block.data) {
+      buffer = decodeBase64Image(block.data);
+    } else if (block.image && this.loadImage) {
+      buffer = this.loadImage(block.image);
+    } else {
+      throw new Error('Image block needs an "image" id or base64 "data"');
+    }
+
+    const bitmap = imageToBitmap(buffer, {
+      maxWidth: this.width - this.margin * 2,
+      width: block.width !== undefined ? this.dots(block.width) : undefined,
+      dither: block.dither,
+      threshold: block.threshold
+    });
+    let x = block.x !== undefined ? this.dots(block.x) : this.margin;
+    if (block.x === undefined && block.align === 'center') {
+      x = Math.max(0, Math.round((this.width - bitmap.width) / 2));
+    }
+    const { y } = this.place(block, bitmap.height);
+    const total = bitmap.bytesPerRow * bitmap.height;
+    this.commands.push(`^FO${x},${y}^GFA,${total},${total},${bitmap.bytesPerRow},${bitmap.data.toString('hex').toUpperCase()}^FS`);
+  }
+
+  encode(copies = 1) {
+    return [
+      '^XA',
+      '^CI28',
+      `^PW${this.width}`,
+      `^LL${this.height}`,
+      '^LH0,0',
+      ...this.commands,
+      `^PQ${Math.max(1, Math.min(999, copies))}`,
+      '^XZ'
+    ].join('\n');
+  }
+}
+
+// Yapılandırılmış belgeyi etiket boyutuna ve DPI'a göre ZPL II'ye çevirir; ^XA ile başlayan veri olduğu gibi geçer
+function renderZpl(document, options = {}) {
+  if (isRawZpl(document)) {
+    return Buffer.from(document, 'utf8');
+  }
+
+  const doc = normalizeDocument(document);
+  const label = new ZplLabel({ ...options, ...doc.label });
+
+  for (const block of doc.blocks) {
+    switch (block.type) {
+      case 'text':
+        label.text(block);
+        break;
+      case 'barcode':
+        label.barcode(block);
+        break;
+      case 'qr':
+        label.qr(block);
+        break;
+      case 'box':
+        label.box(block);
+        break;
+      case 'line':
+      case 'separator':
+        label.line(block);
+        break;
+      case 'image':
+        label.image(block);
+        break;
+      case 'feed':
+        label.cursor += label.dots(3) * (block.lines || 1);
+        break;
+      default:
+        throw new Error(`Unsupported label block type: ${block.type}`);
+    }
+  }
+
+  return Buffer.from(label.encode(doc.copies || options.copies), 'utf8');
+}
+
+module.exports = { renderZpl, isRawZpl };
@@ -3,6 +3,7 @@ const dgram = require('dgram');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const EscPosEncoder = require('./lib/escpos-encoder');
 
 class PrinterTester {
   constructor() {
@@ -572,56 +573,42 @@ Teşekkürler!
   }
 
   convertToESCPOS(text) {
-    const ESC = '\x1B';
-    const GS = '\x1D';
-    
-    let commands = '';
-    
-    commands += ESC + '@';
-    commands += ESC + 't\x12';
-    commands += ESC + 'R\x12';
-    
-    const turkishMap = {
-      'ç': '\x87', 'Ç': '\x80',
-      'ğ': '\x83', 'Ğ': '\xA6',
-      'ı': '\x8D', 'İ': '\x98',
-      'ö': '\x94', 'Ö': '\x99',
-      'ş': '\x9F', 'Ş': '\x9E',
-      'ü': '\x81', 'Ü': '\x9A'
-    };
-    
-    let processedText = text;
-    for (const [turkish, encoded] of Object.entries(turkishMap)) {
-      processedText = processedText.replace(new RegExp(turkish, 'g'), encoded);
-    }
-    
-    const lines = processedText.split('\n');
-    
-    for (let line of lines) {
+    const encoder = new EscPosEncoder(this.loadEncodingOptions());
+    encoder.initialize();
+
+    for (const line of text.split('\n')) {
       if (line.includes('ISTANBUL RESTAURANT')) {
-        commands += ESC + 'a\x01';
-        commands += ESC + 'E\x01';
-        commands += GS + '!\x11';
-        commands += line + '\n';
-        commands += ESC + 'E\x00';
-        commands += GS + '!\x00';
+        encoder.align('center').bold(true).size(2, 2);
+        encoder.line(line);
+        encoder.bold(false).size(1, 1);
       } else if (line.includes('🧪 ANDROID TEST')) {
-        commands += ESC + 'a\x01';
-        commands += ESC + 'E\x01';
-        commands += line + '\n';
-        commands += ESC + 'E\x00';
+        encoder.align('center').bold(true);
+        encoder.line(line);
+        encoder.bold(false);
       } else if (line.includes('===')) {
-        commands += ESC + 'a\x01';
-        commands += line + '\n';
-        commands += ESC + 'a\x00';
+        encoder.align('center');
+        encoder.line(line);
+        encoder.align('left');
       } else {
-        commands += line + '\n';
+        encoder.line(line);
       }
     }
-    
-    commands += GS + 'V\x00';
-    
-    return commands;
+
+    encoder.cut();
+    return encoder.encode();
+  }
+
+  loadEncodingOptions() {
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+      const charset = config.turkish_chars || {};
+      return {
+        codePages: [charset.encoding || 'cp857', charset.fallback_encoding].filter(Boolean),
+        substitute: charset.substitute
+      };
+    } catch (error) {
+      return { codePages: ['cp857', 'cp1254'] };
+    }
   }
 
   async showNetworkInfo() {
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EscPosEncoder = require('../lib/escpos-encoder');
+const { EposEncoder } = require('../lib/epos-encoder');
+const { normalizeHri } = require('../lib/barcode-options');
+
+// GS H n: 0 yok, 1 üst, 2 alt, 3 her ikisi
+function escPosHri(hri) {
+  const bytes = new EscPosEncoder().barcode('481', { hri }).encode();
+  const index = bytes.indexOf(Buffer.from([0x1D, 0x48]));
+  return bytes[index + 2];
+}
+
+function eposHri(hri) {
+  return new EposEncoder().barcode('481', { hri }).encode().match(/<barcode[^>]* hri="([a-z]+)"/)[1];
+}
+
+test('normalizeHri maps booleans and defaults to below', () => {
+  assert.strictEqual(normalizeHri(false), 'none');
+  assert.strictEqual(normalizeHri(true), 'below');
+  assert.strictEqual(normalizeHri(undefined), 'below');
+  assert.strictEqual(normalizeHri('BOTH'), 'both');
+  assert.throws(() => normalizeHri('left'), /hri must be/);
+});
+
+test('ESC/POS encoder turns the text off for hri: false and on for hri: true', () => {
+  assert.strictEqual(escPosHri(false), 0);
+  assert.strictEqual(escPosHri(true), 2);
+  assert.strictEqual(escPosHri(undefined), 2);
+  assert.strictEqual(escPosHri('above'), 1);
+  assert.strictEqual(escPosHri('none'), 0);
+});
+
+test('ePOS encoder turns the text off for hri: false and on for hri: true', () => {
+  assert.strictEqual(eposHri(false), 'none');
+  assert.strictEqual(eposHri(true), 'below');
+  assert.strictEqual(eposHri(undefined), 'below');
+  assert.strictEqual(eposHri('both'), 'both');
+});
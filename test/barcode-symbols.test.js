@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeBarcodeModules } = require('../lib/barcode-symbols');
+
+test('encodes CODE128 with start B, checksum and stop', () => {
+  assert.strictEqual(
+    encodeBarcodeModules('CODE128', '481'),
+    '11010010000110010011101110100110010011100110100111001101100011101011'
+  );
+});
+
+test('encodes EAN8 and fills in the EAN check digit', () => {
+  const pattern = '1010001011010111101111010110111010101001110111001010001001011100101';
+  assert.strictEqual(encodeBarcodeModules('EAN8', '96385074'), pattern);
+  assert.strictEqual(encodeBarcodeModules('EAN8', '9638507'), pattern);
+});
+
+test('UPCA is EAN13 with a leading zero', () => {
+  assert.strictEqual(encodeBarcodeModules('UPCA', '72527273070'), encodeBarcodeModules('EAN13', '072527273070'));
+  assert.strictEqual(encodeBarcodeModules('EAN13', '5901234123457').length, 95);
+});
+
+test('returns null for unsupported symbologies and invalid data', () => {
+  assert.strictEqual(encodeBarcodeModules('CODE93', 'ABC'), null);
+  assert.strictEqual(encodeBarcodeModules('EAN13', '12AB'), null);
+  assert.strictEqual(encodeBarcodeModules('CODE39', 'a*b'), null);
+  assert.strictEqual(encodeBarcodeModules('CODE128', 'çay'), null);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CodePageEncoder = require('../lib/codepage-encoder');
+
+const ESC_T = (id) => [0x1B, 0x74, id];
+
+test('the first text selects the default code page and Turkish letters map to cp857', () => {
+  const encoder = new CodePageEncoder({ codePages: ['cp857'] });
+  assert.deepStrictEqual(encoder.encode('Şiş ığ'), [...ESC_T(13), 0x9E, 0x69, 0x9F, 0x20, 0x8D, 0xA7]);
+  // Seçim tekrarlanmaz
+  assert.deepStrictEqual(encoder.encode('İ'), [0x98]);
+});
+
+test('characters missing from the current page switch to the next page that has them', () => {
+  const encoder = new CodePageEncoder({ codePages: ['cp857', 'cp1254'] });
+  assert.deepStrictEqual(encoder.encode('Ş€Ş'), [
+    ...ESC_T(13), 0x9E,
+    ...ESC_T(48), 0x80,
+    // cp1254'te de Ş olduğundan geri dönülmez
+    0xDE
+  ]);
+  assert.strictEqual(encoder.current, 'cp1254');
+  assert.deepStrictEqual(encoder.reset(), ESC_T(13));
+});
+
+test('characters no page can print are substituted', () => {
+  const encoder = new CodePageEncoder({ codePages: ['cp857'], substitute: '*' });
+  assert.deepStrictEqual(encoder.encode('a€'), [...ESC_T(13), 0x61, 0x2A]);
+});
+
+test('codePageIds and selectCommand override the printer numbering', () => {
+  const encoder = new CodePageEncoder({
+    codePages: ['windows-1254'],
+    codePageIds: { cp1254: 7 },
+    selectCommand: id => [0x1B, 0x1D, 0x74, id]
+  });
+  assert.deepStrictEqual(encoder.encode('ğ'), [0x1B, 0x1D, 0x74, 7, 0xF0]);
+  assert.strictEqual(encoder.codePageForId(7), 'cp1254');
+});
+
+test('unknown or unselectable code pages are rejected', () => {
+  assert.throws(() => new CodePageEncoder({ codePages: ['cp999'] }), /Unsupported code page\(s\): cp999/);
+  assert.throws(
+    () => new CodePageEncoder({ codePages: ['cp1254'], defaultCodePageIds: { cp857: 13 } }),
+    /None of the configured code pages/
+  );
+});
+
+test('decode reverses the mapping for the preview', () => {
+  const encoder = new CodePageEncoder({ codePages: ['cp857'] });
+  assert.strictEqual(encoder.decode(0x9E), 'Ş');
+  assert.strictEqual(encoder.decode(0x41), 'A');
+  assert.strictEqual(encoder.decode(0xF0, 'cp1254'), 'ğ');
+});
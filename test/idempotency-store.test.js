@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IdempotencyStore = require('../lib/idempotency-store');
+
+function storagePath(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'idempotency.json');
+}
+
+test('a remembered key returns its job and, once printed, the stored response', (t) => {
+  const store = new IdempotencyStore({ storagePath: storagePath(t) });
+  assert.strictEqual(store.get('order-42'), null);
+
+  store.remember('order-42', 'job-1');
+  assert.strictEqual(store.get('order-42').jobId, 'job-1');
+  assert.strictEqual(store.get('order-42').response, null);
+
+  store.complete('order-42', { success: true, jobId: 'job-1' });
+  assert.deepStrictEqual(store.get('order-42').response, { success: true, jobId: 'job-1' });
+});
+
+test('keys expire after the window', (t) => {
+  const store = new IdempotencyStore({ storagePath: storagePath(t), windowMs: 1000 });
+  store.remember('order-42', 'job-1');
+  store.records.get('order-42').createdAt -= 1001;
+
+  assert.strictEqual(store.get('order-42'), null);
+  assert.strictEqual(store.records.size, 0);
+});
+
+test('keys survive a restart until they expire', (t) => {
+  const file = storagePath(t);
+  const store = new IdempotencyStore({ storagePath: file, windowMs: 1000 });
+  store.remember('fresh', 'job-1');
+  store.remember('stale', 'job-2');
+  store.records.get('stale').createdAt -= 1001;
+  store.save();
+
+  const restored = new IdempotencyStore({ storagePath: file, windowMs: 1000 });
+  assert.strictEqual(restored.get('fresh').jobId, 'job-1');
+  assert.strictEqual(restored.get('stale'), null);
+});
+
+test('completing an unknown key is ignored', (t) => {
+  const store = new IdempotencyStore({ storagePath: storagePath(t) });
+  store.complete('missing', { success: true });
+  assert.strictEqual(store.get('missing'), null);
+});
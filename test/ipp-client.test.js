@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { IppClient, encodeRequest, decodeResponse } = require('../lib/ipp-client');
+
+const INTEGER = 0x21;
+const BOOLEAN = 0x22;
+const ENUM = 0x23;
+const TEXT = 0x41;
+const KEYWORD = 0x44;
+const CHARSET = 0x47;
+
+// Yanıtlar da aynı ikili biçimde olduğundan istek kodlayıcısıyla üretilip durum kodu yazılır
+function response(statusCode, groups) {
+  const buffer = encodeRequest('Get-Printer-Attributes', 1, groups);
+  buffer.writeUInt16BE(statusCode, 2);
+  return buffer;
+}
+
+function ippServer(t, reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ path: req.url, contentType: req.headers['content-type'], body: Buffer.concat(chunks) });
+      res.writeHead(200, { 'Content-Type': 'application/ipp' });
+      res.end(reply);
+    });
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ requests, client: new IppClient({ host: '127.0.0.1', port: server.address().port, timeout: 2000 }) });
+  }));
+}
+
+test('encodeRequest writes the IPP 2.0 header, attribute groups and end tag', () => {
+  const buffer = encodeRequest('Print-Job', 7, { operation: [[CHARSET, 'attributes-charset', 'utf-8']] });
+  assert.deepStrictEqual(Array.from(buffer.subarray(0, 9)), [2, 0, 0x00, 0x02, 0, 0, 0, 7, 0x01]);
+  assert.deepStrictEqual(Array.from(buffer.subarray(9, 12)), [CHARSET, 0, 18]);
+  assert.strictEqual(buffer.toString('utf8', 12, 30), 'attributes-charset');
+  assert.deepStrictEqual(Array.from(buffer.subarray(30, 32)), [0, 5]);
+  assert.strictEqual(buffer.toString('utf8', 32, 37), 'utf-8');
+  assert.strictEqual(buffer[buffer.length - 1], 0x03);
+});
+
+test('decodeResponse reads status, groups, typed values and multi-valued attributes', () => {
+  const decoded = decodeResponse(response(0x0000, {
+    operation: [[CHARSET, 'attributes-charset', 'utf-8']],
+    printer: [
+      [ENUM, 'printer-state', 5],
+      [KEYWORD, 'printer-state-reasons', ['media-empty', 'cover-open']],
+      [BOOLEAN, 'printer-is-accepting-jobs', false],
+      [INTEGER, 'queued-job-count', 2]
+    ]
+  }));
+
+  assert.strictEqual(decoded.version, '2.0');
+  assert.strictEqual(decoded.status, 'successful-ok');
+  assert.strictEqual(decoded.requestId, 1);
+  assert.deepStrictEqual(decoded.groups.printer, {
+    'printer-state': 5,
+    'printer-state-reasons': ['media-empty', 'cover-open'],
+    'printer-is-accepting-jobs': false,
+    'queued-job-count': 2
+  });
+  assert.throws(() => decodeResponse(Buffer.alloc(4)), /too short/);
+});
+
+test('getPrinterAttributes summarises the printer state', async (t) => {
+  const { client, requests } = await ippServer(t, response(0x0000, {
+    printer: [
+      [ENUM, 'printer-state', 5],
+      [KEYWORD, 'printer-state-reasons', ['media-empty-error']],
+      [BOOLEAN, 'printer-is-accepting-jobs', true],
+      [TEXT, 'printer-make-and-model', 'Office Laser']
+    ]
+  }));
+
+  const attributes = await client.getPrinterAttributes();
+  assert.strictEqual(requests[0].path, '/ipp/print');
+  assert.strictEqual(requests[0].contentType, 'application/ipp');
+  assert.strictEqual(attributes.state, 'stopped');
+  assert.deepStrictEqual(attributes.stateReasons, ['media-empty-error']);
+  assert.strictEqual(attributes.acceptingJobs, true);
+  assert.strictEqual(attributes.makeAndModel, 'Office Laser');
+});
+
+test('printJob appends the document after the attributes and returns the job id', async (t) => {
+  const { client, requests } = await ippServer(t, response(0x0000, { job: [[INTEGER, 'job-id', 42], [ENUM, 'job-state', 3]] }));
+
+  const result = await client.printJob(Buffer.from('%PDF-1.4'), { documentFormat: 'application/pdf', jobName: 'Fatura' });
+  assert.deepStrictEqual(result, { jobId: 42, jobState: 3, status: 'successful-ok' });
+
+  const body = requests[0].body;
+  assert.strictEqual(body.readUInt16BE(2), 0x0002);
+  assert.ok(body.includes('application/pdf'));
+  assert.ok(body.includes('Fatura'));
+  assert.strictEqual(body.subarray(-9).toString(), '\x03%PDF-1.4');
+});
+
+test('printer-side IPP errors fail with EPRINTERSTATUS and others with EIPP', async (t) => {
+  const notAccepting = await ippServer(t, response(0x0506, { operation: [[TEXT, 'status-message', 'Printer paused']] }));
+  await assert.rejects(notAccepting.client.printJob(Buffer.from('x')), {
+    code: 'EPRINTERSTATUS',
+    ippStatus: 'server-error-not-accepting-jobs',
+    message: 'IPP Print-Job failed: server-error-not-accepting-jobs (Printer paused)'
+  });
+
+  const badFormat = await ippServer(t, response(0x040A, {}));
+  await assert.rejects(badFormat.client.printJob(Buffer.from('x')), { code: 'EIPP', ippStatusCode: 0x040A });
+});
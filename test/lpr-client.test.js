@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { sendLprJob, buildControlFile } = require('../lib/lpr-client');
+
+// Basit LPD sunucusu: her adımı kaydeder ve acks dizisindeki onay baytıyla yanıtlar (varsayılan 0)
+function lpdServer(t, acks = {}) {
+  const received = { queue: null, files: [] };
+  const sockets = [];
+  const server = net.createServer((socket) => {
+    sockets.push(socket);
+    let buffer = Buffer.alloc(0);
+    let file = null;
+    let step = 0;
+    const ack = () => {
+      const value = acks[step++] || 0;
+      socket.write(Buffer.from([value]));
+      return value === 0;
+    };
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        if (file) {
+          if (buffer.length < file.size + 1) return;
+          file.contents = buffer.subarray(0, file.size);
+          buffer = buffer.subarray(file.size + 1);
+          received.files.push(file);
+          file = null;
+          ack();
+          continue;
+        }
+        const end = buffer.indexOf(0x0A);
+        if (end === -1) return;
+        const line = buffer.toString('latin1', 0, end);
+        buffer = buffer.subarray(end + 1);
+        if (received.queue === null) {
+          received.queue = line.slice(1);
+          ack();
+          continue;
+        }
+        const [size, name] = line.slice(1).split(' ');
+        if (ack()) {
+          file = { type: line.charCodeAt(0), size: Number(size), name };
+        }
+      }
+    });
+  });
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, received })));
+}
+
+test('a job sends the queue, the control file and the data file, each acknowledged', async (t) => {
+  const { port, received } = await lpdServer(t);
+  const data = Buffer.from([0x1B, 0x40, 0x41, 0x0A, 0x00, 0xFF]);
+
+  const result = await sendLprJob({ host: '127.0.0.1', port, queue: 'kitchen', data, clientHost: 'till_1', user: 'kasa', jobName: 'Masa 5' });
+  assert.strictEqual(result.queue, 'kitchen');
+  assert.strictEqual(result.bytes, data.length);
+  assert.strictEqual(received.queue, 'kitchen');
+
+  const [control, dataFile] = received.files;
+  assert.strictEqual(control.type, 0x02);
+  assert.strictEqual(control.name, `cfA${result.jobNumber}till1`);
+  assert.strictEqual(control.contents.toString('latin1'),
+    `Htill1\nPkasa\nJMasa 5\nldfA${result.jobNumber}till1\nUdfA${result.jobNumber}till1\nNMasa 5\n`);
+  assert.strictEqual(dataFile.type, 0x03);
+  assert.strictEqual(dataFile.name, `dfA${result.jobNumber}till1`);
+  assert.deepStrictEqual(dataFile.contents, data);
+});
+
+test('dataFileFirst sends the data file before the control file', async (t) => {
+  const { port, received } = await lpdServer(t);
+  await sendLprJob({ host: '127.0.0.1', port, data: 'x', dataFileFirst: true });
+  assert.strictEqual(received.queue, 'lp');
+  assert.deepStrictEqual(received.files.map(file => file.type), [0x03, 0x02]);
+});
+
+test('a rejected queue fails with ELPR and the ack value', async (t) => {
+  const { port } = await lpdServer(t, { 0: 1 });
+  await assert.rejects(sendLprJob({ host: '127.0.0.1', port, queue: 'nope', data: 'x' }), {
+    code: 'ELPR',
+    lprAck: 1,
+    message: 'LPD server rejected queue "nope" (ack 1: not accepted); the queue is unknown or not accepting jobs'
+  });
+});
+
+test('running out of spool space fails with EPRINTERSTATUS so the job can fail over', async (t) => {
+  // 0 kuyruk, 1-2 kontrol dosyası, 3 veri dosyası başlığı
+  const { port } = await lpdServer(t, { 3: 2 });
+  await assert.rejects(sendLprJob({ host: '127.0.0.1', port, data: 'x' }), {
+    code: 'EPRINTERSTATUS',
+    lprAck: 2,
+    message: 'LPD server rejected the data file header (ack 2: insufficient spool space)'
+  });
+});
+
+test('a server that stops answering times out', async (t) => {
+  const sockets = [];
+  const server = net.createServer(socket => sockets.push(socket));
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  await assert.rejects(sendLprJob({ host: '127.0.0.1', port: server.address().port, data: 'x', timeout: 50 }), { code: 'ETIMEDOUT' });
+});
+
+test('an aborted job rejects with the abort reason', async (t) => {
+  const { port } = await lpdServer(t);
+  const controller = new AbortController();
+  const reason = new Error('Print attempt timed out');
+  reason.code = 'ETIMEDOUT';
+  controller.abort(reason);
+
+  await assert.rejects(sendLprJob({ host: '127.0.0.1', port, data: 'x', signal: controller.signal }), reason);
+});
+
+test('buildControlFile lists the host, user, job and data file lines', () => {
+  const control = buildControlFile({ host: 'till', user: 'kasa', jobName: 'Fis', dataFileName: 'dfA001till' });
+  assert.strictEqual(control.toString('latin1'), 'Htill\nPkasa\nJFis\nldfA001till\nUdfA001till\nNFis\n');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCidr, cidrHosts, runPool, scanTargets } = require('../lib/network-scanner');
+
+test('parseCidr skips the network and broadcast addresses', () => {
+  assert.deepStrictEqual(parseCidr('192.168.1.0/24'), { network: 3232235776, prefix: 24, first: 3232235777, last: 3232236030, count: 254 });
+  // Ağ adresi olmayan bir adres de kendi ağına yuvarlanır
+  assert.strictEqual(parseCidr('10.0.5.77/16').count, 65534);
+  assert.strictEqual(parseCidr('10.0.0.8/31').count, 2);
+  assert.strictEqual(parseCidr(' 10.0.0.8 ').count, 1);
+});
+
+test('parseCidr rejects malformed ranges', () => {
+  for (const cidr of ['10.0.0/24', '10.0.0.256/24', '10.0.0.0/33', '10.0.0.0/abc', 'printer.local']) {
+    assert.throws(() => parseCidr(cidr), /Invalid CIDR range/, cidr);
+  }
+});
+
+test('cidrHosts lists every host address in order', () => {
+  assert.deepStrictEqual(Array.from(cidrHosts('192.168.1.255/30')), ['192.168.1.253', '192.168.1.254']);
+  assert.deepStrictEqual(Array.from(cidrHosts('10.0.0.255/31')), ['10.0.0.254', '10.0.0.255']);
+  assert.deepStrictEqual(Array.from(cidrHosts('172.16.0.9/32')), ['172.16.0.9']);
+});
+
+test('runPool never runs more workers at once than its concurrency', async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+  await runPool(cidrHosts('10.0.0.0/28'), 3, async (host) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    running--;
+    done.push(host);
+  });
+
+  assert.strictEqual(peak, 3);
+  assert.strictEqual(done.length, 14);
+});
+
+test('scanTargets collects answers, ignores failed probes and reports progress', async () => {
+  const targets = Array.from(cidrHosts('10.0.0.0/29'), host => ({ host, port: 9100 }));
+  const progress = [];
+  const found = await scanTargets(targets, {
+    total: targets.length,
+    concurrency: 2,
+    progressInterval: 60000,
+    onProgress: report => progress.push(report),
+    probe: async (host, port) => {
+      if (host === '10.0.0.3') {
+        throw new Error('ECONNREFUSED');
+      }
+      return host.endsWith('.2') || host.endsWith('.5') ? { host, port } : null;
+    }
+  });
+
+  assert.deepStrictEqual(found, [{ host: '10.0.0.2', port: 9100 }, { host: '10.0.0.5', port: 9100 }]);
+  assert.deepStrictEqual(progress[progress.length - 1], { scanned: 6, total: 6, found: 2 });
+});
@@ -0,0 +1,332 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PrintQueue = require('../lib/print-queue');
+
+function createQueue(t, processor, options = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'print-queue-'));
+  const queue = new PrintQueue({ storagePath: path.join(directory, 'jobs.json'), processor, retryDelay: 5, ...options });
+  t.after(() => {
+    queue.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  return queue;
+}
+
+function failure(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+test('a job that succeeds is completed with the processor result', async (t) => {
+  const queue = createQueue(t, async () => ({ success: true, bytes: 3 }));
+  queue.start();
+
+  const job = await queue.waitFor(queue.add({ data: 'abc', maxRetries: 2 }).id);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.attempts, 1);
+  assert.deepStrictEqual(job.result, { success: true, bytes: 3 });
+});
+
+test('failed attempts are retried with exponential backoff', async (t) => {
+  const startedAt = [];
+  const queue = createQueue(t, async () => {
+    startedAt.push(Date.now());
+    if (startedAt.length < 3) {
+      throw failure('connection refused', 'ECONNREFUSED');
+    }
+    return { success: true };
+  }, { retryDelay: 20, backoffFactor: 3 });
+  queue.start();
+
+  const job = await queue.waitFor(queue.add({ data: 'abc', maxRetries: 3 }).id);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.attempts, 3);
+  assert.strictEqual(job.lastError, null);
+  // 20 ms, ardından 20 * 3 = 60 ms beklenir
+  assert.ok(startedAt[1] - startedAt[0] >= 15);
+  assert.ok(startedAt[2] - startedAt[1] >= 55);
+});
+
+test('a job that keeps failing moves to the dead-letter list and can be retried from there', async (t) => {
+  let fail = true;
+  const queue = createQueue(t, async () => {
+    if (fail) {
+      throw failure('printer unreachable', 'EHOSTUNREACH');
+    }
+    return { success: true };
+  });
+  queue.start();
+
+  const added = queue.add({ data: 'abc', maxRetries: 2 });
+  const dead = await queue.waitFor(added.id);
+  assert.strictEqual(dead.status, 'dead');
+  assert.strictEqual(dead.attempts, 3);
+  assert.strictEqual(dead.lastError, 'printer unreachable');
+  assert.deepStrictEqual(queue.getDeadLetter().map(job => job.id), [added.id]);
+
+  fail = false;
+  queue.retryDeadLetter(added.id);
+  const retried = await queue.waitFor(added.id);
+  assert.strictEqual(retried.status, 'completed');
+  assert.strictEqual(retried.attempts, 1);
+  assert.deepStrictEqual(queue.getDeadLetter(), []);
+});
+
+test('pending jobs survive a restart and a job interrupted while printing is queued again', (t) => {
+  const queue = createQueue(t, async () => ({ success: true }));
+  const queued = queue.add({ data: 'first', maxRetries: 1 });
+  const printing = queue.add({ data: 'second', maxRetries: 1 });
+  printing.status = 'printing';
+  queue.save();
+
+  const restored = new PrintQueue({ storagePath: queue.storagePath, processor: async () => ({ success: true }) });
+  assert.strictEqual(restored.get(queued.id).status, 'queued');
+  assert.strictEqual(restored.get(queued.id).data, 'first');
+  assert.strictEqual(restored.get(printing.id).status, 'queued');
+});
+
+test('only queued or scheduled jobs can be cancelled', async (t) => {
+  const queue = createQueue(t, async () => ({ success: true }));
+  const job = queue.add({ data: 'abc', maxRetries: 1 });
+  const waiting = queue.waitFor(job.id);
+
+  assert.strictEqual(queue.cancel(job.id).status, 'cancelled');
+  assert.strictEqual((await waiting).status, 'cancelled');
+  assert.throws(() => queue.cancel(job.id), /cannot be cancelled while cancelled/);
+  assert.strictEqual(queue.cancel('missing'), null);
+
+  queue.start();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(queue.get(job.id).attempts, 0);
+});
+
+test('reprint queues a new job with the original data and routing', async (t) => {
+  const printed = [];
+  const queue = createQueue(t, async (job) => {
+    printed.push(job.data);
+    return { success: true };
+  });
+  queue.start();
+
+  const original = await queue.waitFor(queue.add({
+    data: 'ticket', printer: { id: 'kitchen' }, protocol: 'raw', format: 'escpos', lane: 'kitchen', maxRetries: 2
+  }).id);
+  const copy = queue.reprint(original.id);
+  assert.notStrictEqual(copy.id, original.id);
+  assert.strictEqual(copy.reprintOf, original.id);
+  assert.deepStrictEqual(copy.printer, { id: 'kitchen' });
+  assert.strictEqual(copy.lane, 'kitchen');
+  assert.strictEqual(copy.maxRetries, 2);
+
+  assert.strictEqual((await queue.waitFor(copy.id)).status, 'completed');
+  assert.deepStrictEqual(printed, ['ticket', 'ticket']);
+  assert.strictEqual(queue.reprint('missing'), null);
+});
+
+test('list filters by status and returns the newest jobs first', (t) => {
+  const queue = createQueue(t, async () => ({ success: true }));
+  const first = queue.add({ data: 'a' });
+  const second = queue.add({ data: 'b' });
+  queue.cancel(first.id);
+
+  assert.deepStrictEqual(queue.list().map(job => job.id), [second.id, first.id]);
+  assert.deepStrictEqual(queue.list({ status: 'cancelled' }).map(job => job.id), [first.id]);
+  assert.deepStrictEqual(queue.list({ status: 'queued,cancelled', limit: 1 }).map(job => job.id), [second.id]);
+});
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+test('jobs for the same printer print one at a time and in order', async (t) => {
+  const events = [];
+  const queue = createQueue(t, async (job) => {
+    events.push(`start ${job.data}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    events.push(`end ${job.data}`);
+    return { success: true };
+  });
+  queue.start();
+
+  const jobs = ['a', 'b', 'c'].map(data => queue.add({ data, lane: 'kitchen' }));
+  await Promise.all(jobs.map(job => queue.waitFor(job.id)));
+  assert.deepStrictEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test('different printers print in parallel up to maxConcurrent', async (t) => {
+  const gate = deferred();
+  const running = [];
+  const queue = createQueue(t, async (job) => {
+    running.push(job.lane);
+    await gate.promise;
+    return { success: true };
+  }, { maxConcurrent: 2 });
+  queue.start();
+
+  const jobs = ['kitchen', 'bar', 'till'].map(lane => queue.add({ data: lane, lane }));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(running, ['kitchen', 'bar']);
+  assert.deepStrictEqual(queue.getLanes().map(lane => lane.lane), ['kitchen', 'bar', 'till']);
+  assert.strictEqual(queue.getLanes().find(lane => lane.lane === 'till').active, null);
+
+  gate.resolve();
+  await Promise.all(jobs.map(job => queue.waitFor(job.id)));
+  assert.deepStrictEqual(running, ['kitchen', 'bar', 'till']);
+});
+
+test('throttleMs spaces out jobs on the same lane', async (t) => {
+  const startedAt = [];
+  const queue = createQueue(t, async () => {
+    startedAt.push(Date.now());
+    return { success: true };
+  });
+  queue.start();
+
+  const jobs = [1, 2].map(data => queue.add({ data, lane: 'kitchen', throttleMs: 40 }));
+  await Promise.all(jobs.map(job => queue.waitFor(job.id)));
+  assert.ok(startedAt[1] - startedAt[0] >= 35);
+});
+
+test('a timed-out attempt is aborted and its lane stays locked until the processor stops', async (t) => {
+  const events = [];
+  const queue = createQueue(t, (job, signal) => {
+    events.push(`start ${job.data}`);
+    if (job.data !== 'stuck') {
+      return Promise.resolve({ success: true });
+    }
+    // Aktarım iptal sinyalini biraz geç fark eder
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => setTimeout(() => {
+        events.push('stuck stopped');
+        reject(signal.reason);
+      }, 30));
+    });
+  }, { attemptTimeout: 20 });
+  queue.start();
+
+  const stuck = queue.add({ data: 'stuck', lane: 'kitchen', maxRetries: 0 });
+  const next = queue.add({ data: 'next', lane: 'kitchen', maxRetries: 0 });
+  const dead = await queue.waitFor(stuck.id);
+  assert.strictEqual(dead.status, 'dead');
+  assert.match(dead.lastError, /timed out after 20 ms/);
+
+  await queue.waitFor(next.id);
+  assert.deepStrictEqual(events, ['start stuck', 'stuck stopped', 'start next']);
+});
+
+test('a rerouted job moves to the fallback lane and reprints go back to the original printer', async (t) => {
+  const lanes = [];
+  const queue = createQueue(t, async (job) => {
+    lanes.push(job.lane);
+    if (job.lane === 'kitchen' && !job.reprintOf) {
+      const error = failure('connection refused', 'ECONNREFUSED');
+      error.reroute = { printer: { id: 'backup' }, protocol: 'lpr', lane: 'backup', throttleMs: 0 };
+      throw error;
+    }
+    return { success: true };
+  });
+  queue.start();
+
+  const job = await queue.waitFor(queue.add({
+    data: 'ticket', printer: { id: 'kitchen' }, protocol: 'raw', lane: 'kitchen', maxRetries: 0
+  }).id);
+  assert.strictEqual(job.status, 'completed');
+  assert.deepStrictEqual(lanes, ['kitchen', 'backup']);
+  assert.deepStrictEqual(job.printer, { id: 'backup' });
+  assert.strictEqual(job.protocol, 'lpr');
+  assert.deepStrictEqual(job.origin, { printer: { id: 'kitchen' }, protocol: 'raw', lane: 'kitchen', throttleMs: 0 });
+
+  const copy = queue.reprint(job.id);
+  assert.strictEqual(copy.lane, 'kitchen');
+  assert.strictEqual(copy.protocol, 'raw');
+  await queue.waitFor(copy.id);
+  assert.deepStrictEqual(lanes, ['kitchen', 'backup', 'kitchen']);
+});
+
+test('a reroute does not count against the retry limit and frees the original lane', async (t) => {
+  const queue = createQueue(t, async (job) => {
+    if (job.lane === 'kitchen' && job.data === 'ticket') {
+      const error = failure('paper out', 'EPRINTERSTATUS');
+      error.reroute = { printer: { id: 'backup' }, lane: 'backup' };
+      throw error;
+    }
+    return { success: true };
+  });
+  queue.start();
+
+  const rerouted = queue.add({ data: 'ticket', lane: 'kitchen', maxRetries: 0 });
+  const next = queue.add({ data: 'next', lane: 'kitchen', maxRetries: 0 });
+  assert.strictEqual((await queue.waitFor(rerouted.id)).status, 'completed');
+  assert.strictEqual((await queue.waitFor(next.id)).status, 'completed');
+  assert.strictEqual(queue.activeLanes.size, 0);
+});
+
+test('scheduled jobs wait until runAt and are listed by due time', async (t) => {
+  const printedAt = [];
+  const queue = createQueue(t, async () => {
+    printedAt.push(Date.now());
+    return { success: true };
+  });
+  queue.start();
+
+  const addedAt = Date.now();
+  const later = queue.add({ data: 'dessert', runAt: addedAt + 80 });
+  const sooner = queue.add({ data: 'main', runAt: addedAt + 40 });
+  assert.strictEqual(later.status, 'scheduled');
+  assert.strictEqual(later.queuedAt, null);
+  assert.deepStrictEqual(queue.getScheduled().map(job => job.id), [sooner.id, later.id]);
+
+  await Promise.all([queue.waitFor(sooner.id), queue.waitFor(later.id)]);
+  assert.ok(printedAt[0] - addedAt >= 35);
+  assert.ok(printedAt[1] - addedAt >= 75);
+  assert.ok(queue.get(later.id).queuedAt);
+});
+
+test('a runAt in the past queues the job immediately', (t) => {
+  const queue = createQueue(t, async () => ({ success: true }));
+  const job = queue.add({ data: 'late', runAt: Date.now() - 1000 });
+  assert.strictEqual(job.status, 'queued');
+  assert.strictEqual(job.runAt, null);
+});
+
+test('fireNow releases a scheduled job and scheduled jobs can be cancelled', async (t) => {
+  const queue = createQueue(t, async () => ({ success: true }));
+  queue.start();
+
+  const fired = queue.add({ data: 'main', runAt: Date.now() + 60000 });
+  const cancelled = queue.add({ data: 'dessert', runAt: Date.now() + 60000 });
+  assert.notStrictEqual(queue.fireNow(fired.id).status, 'scheduled');
+  assert.strictEqual((await queue.waitFor(fired.id)).status, 'completed');
+  assert.strictEqual(queue.fireNow(fired.id), null);
+
+  assert.strictEqual(queue.cancel(cancelled.id).status, 'cancelled');
+  assert.deepStrictEqual(queue.getScheduled(), []);
+});
+
+test('scheduled jobs are restored after a restart', (t) => {
+  const queue = createQueue(t, async () => ({ success: true }));
+  const job = queue.add({ data: 'dessert', runAt: Date.now() + 60000 });
+
+  const restored = new PrintQueue({ storagePath: queue.storagePath, processor: async () => ({ success: true }) });
+  assert.strictEqual(restored.get(job.id).status, 'scheduled');
+  assert.strictEqual(restored.get(job.id).runAt, job.runAt);
+});
+
+test('errors marked as not retryable go to the dead-letter list after one attempt', async (t) => {
+  const queue = createQueue(t, async () => {
+    const error = failure('no device path', 'EDEVICECONFIG');
+    error.retryable = false;
+    throw error;
+  });
+  queue.start();
+
+  const job = await queue.waitFor(queue.add({ data: 'abc', maxRetries: 3 }).id);
+  assert.strictEqual(job.status, 'dead');
+  assert.strictEqual(job.attempts, 1);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { queryPrinterStatus, decodePrinterStatus } = require('../lib/printer-status');
+
+// Bit 1 ve 4 daima 1 olduğundan "her şey yolunda" baytı 0x12'dir
+const READY = [0x12, 0x12, 0x12, 0x12];
+
+function listen(t, onConnection) {
+  const server = net.createServer(onConnection);
+  t.after(() => server.close());
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+test('a healthy printer is ready with no problems', () => {
+  const status = decodePrinterStatus(READY);
+  assert.strictEqual(status.ready, true);
+  assert.strictEqual(status.online, true);
+  assert.deepStrictEqual(status.problems, []);
+});
+
+test('offline, cover, paper and cutter bits are reported as problems', () => {
+  const status = decodePrinterStatus([0x1A, 0x16, 0x1A, 0x72]);
+  assert.strictEqual(status.ready, false);
+  assert.deepStrictEqual(status.problems, ['offline', 'cover open', 'paper out', 'cutter error']);
+});
+
+test('low paper and an open drawer do not stop printing', () => {
+  const status = decodePrinterStatus([0x16, 0x12, 0x12, 0x1E]);
+  assert.strictEqual(status.ready, true);
+  assert.strictEqual(status.paperNearEnd, true);
+  assert.strictEqual(status.drawerOpen, true);
+});
+
+test('the query sends DLE EOT 1-4 and decodes the answer, skipping unrelated bytes', async (t) => {
+  let request;
+  const port = await listen(t, (socket) => {
+    socket.once('data', (chunk) => {
+      request = Array.from(chunk);
+      // Durum baytı olmayan 0xFF atlanır
+      socket.write(Buffer.from([0xFF, 0x12, 0x12, 0x12, 0x72]));
+    });
+  });
+
+  const status = await queryPrinterStatus('127.0.0.1', port, { timeoutMs: 1000 });
+  assert.deepStrictEqual(request, [0x10, 0x04, 1, 0x10, 0x04, 2, 0x10, 0x04, 3, 0x10, 0x04, 4]);
+  assert.strictEqual(status.paperOut, true);
+  assert.deepStrictEqual(status.raw, [0x12, 0x12, 0x12, 0x72]);
+});
+
+test('a printer that never answers is reported as not supporting status', async (t) => {
+  const sockets = [];
+  const port = await listen(t, socket => sockets.push(socket));
+  t.after(() => sockets.forEach(socket => socket.destroy()));
+
+  const status = await queryPrinterStatus('127.0.0.1', port, { timeoutMs: 50 });
+  assert.deepStrictEqual(status, { reachable: true, supported: false, online: true, ready: true, problems: [] });
+});
+
+test('a refused connection rejects with its error code', async () => {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+
+  await assert.rejects(queryPrinterStatus('127.0.0.1', port, { timeoutMs: 1000 }), { code: 'ECONNREFUSED' });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderTemplate, parseTemplate } = require('../lib/template-engine');
+
+function text(content, data) {
+  return renderTemplate({ format: 'text', content }, data);
+}
+
+test('text templates fill in values, nested paths and filters', () => {
+  assert.strictEqual(text('Masa {{table}} - {{waiter.name | upper}}', { table: 5, waiter: { name: 'ayşe' } }), 'Masa 5 - AYŞE');
+  assert.strictEqual(text('{{total | money}} TL', { total: 12.5 }), '12.50 TL');
+  assert.strictEqual(text('[{{missing}}]', {}), '[]');
+  assert.throws(() => text('{{total | shout}}', { total: 1 }), /Unknown template filter: shout/);
+});
+
+test('each loops expose the item, its fields and its position', () => {
+  const items = [{ name: 'Çay', qty: 2 }, { name: 'Simit', qty: 1 }];
+  assert.strictEqual(
+    text('{{#each items}}{{@number}}. {{qty}}x {{name}} ({{table}})\n{{/each}}', { table: 5, items }),
+    '1. 2x Çay (5)\n2. 1x Simit (5)\n'
+  );
+  assert.strictEqual(text('{{#each notes}}- {{this}}\n{{/each}}', { notes: ['acısız', 'soğansız'] }), '- acısız\n- soğansız\n');
+});
+
+test('if and unless pick a branch, treating empty lists as false', () => {
+  const source = '{{#if notes}}Notlar var{{else}}Not yok{{/if}}';
+  assert.strictEqual(text(source, { notes: ['acısız'] }), 'Notlar var');
+  assert.strictEqual(text(source, { notes: [] }), 'Not yok');
+  assert.strictEqual(text('{{#unless paid}}ÖDENMEDİ{{/unless}}', { paid: false }), 'ÖDENMEDİ');
+});
+
+test('malformed templates are rejected', () => {
+  assert.throws(() => parseTemplate('{{#each items}}x'), /Unclosed \{\{#each\}\}/);
+  assert.throws(() => parseTemplate('{{#if a}}x{{/each}}'), /Unexpected \{\{\/each\}\}/);
+  assert.throws(() => parseTemplate('{{else}}'), /outside of/);
+});
+
+test('document templates expand each and if blocks and keep single values raw', () => {
+  const template = {
+    format: 'document',
+    content: [
+      { type: 'text', text: 'Masa {{table}}' },
+      { type: 'each', items: 'items', blocks: [{ type: 'item', name: '{{name}}', qty: '{{qty}}' }] },
+      { type: 'if', test: 'discount', blocks: [{ type: 'text', text: 'İndirim' }], else: [{ type: 'text', text: 'Tam fiyat' }] }
+    ]
+  };
+
+  const { blocks } = renderTemplate(template, { table: 5, items: [{ name: 'Çay', qty: 2 }, { name: 'Simit', qty: 1 }] });
+  assert.deepStrictEqual(blocks, [
+    { type: 'text', text: 'Masa 5' },
+    { type: 'item', name: 'Çay', qty: 2 },
+    { type: 'item', name: 'Simit', qty: 1 },
+    { type: 'text', text: 'Tam fiyat' }
+  ]);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderZpl } = require('../lib/zpl-renderer');
+
+function barcodeCommand(symbology, extra = {}) {
+  const zpl = renderZpl({ blocks: [{ type: 'barcode', symbology, data: '12345', height: 10, ...extra }] }).toString();
+  return zpl.match(/\^BY[^\n]*?(\^B[0-9A-Z][^^]*)\^FH/)[1];
+}
+
+test('barcode commands use each symbology\'s parameter order', () => {
+  // 10 mm = 80 nokta (203 dpi)
+  const expected = {
+    CODE128: '^BCN,80,Y,N,N',
+    CODE39: '^B3N,N,80,Y,N',
+    CODE93: '^BAN,80,Y,N,N',
+    EAN13: '^BEN,80,Y,N',
+    EAN8: '^B8N,80,Y,N',
+    UPCA: '^BUN,80,Y,N,Y',
+    UPCE: '^B9N,80,Y,N,Y',
+    ITF: '^B2N,80,Y,N,N',
+    CODABAR: '^BKN,N,80,Y,N,A,A'
+  };
+  for (const [symbology, command] of Object.entries(expected)) {
+    assert.strictEqual(barcodeCommand(symbology), command, symbology);
+  }
+});
+
+test('hri: false turns the interpretation line off', () => {
+  assert.strictEqual(barcodeCommand('CODE39', { hri: false }), '^B3N,N,80,N,N');
+  assert.strictEqual(barcodeCommand('CODE128', { hri: 'none' }), '^BCN,80,N,N,N');
+});
+
+test('unknown symbologies are rejected', () => {
+  assert.throws(() => barcodeCommand('PDF417'), /Unsupported barcode symbology/);
+});
+
+test('missing text prints as an empty field', () => {
+  for (const text of [undefined, null]) {
+    const zpl = renderZpl({ blocks: [{ type: 'text', text }] }).toString();
+    assert.match(zpl, /\^FB\d+,1,0,L,0\^FH\^FD\^FS/);
+    assert.doesNotMatch(zpl, /undefined|null/);
+  }
+});